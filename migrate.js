@@ -0,0 +1,166 @@
+// Schema migrations: numbered files in migrations/ ("001_name.js"), each exporting `up` and
+// optionally `down`, either as SQL or as async (client) => {}. Applied versions are recorded
+// in schema_migrations; every migration runs in its own transaction, and an advisory lock
+// keeps two instances from migrating at the same time.
+//
+// CLI (uses DATABASE_URL from the environment / .env):
+//   node migrate.js up [version]   apply pending migrations (up to version)
+//   node migrate.js down [steps]   roll back the last applied migrations (default 1)
+//   node migrate.js status         list migrations and whether they are applied
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 727100; // Arbitrary, shared by every instance of the app
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => ({
+            id: file.replace(/\.js$/, ''),
+            version: parseInt(file, 10),
+            name: file.replace(/^\d+_|\.js$/g, ''),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+const runStep = async (client, step) => {
+    if (typeof step === 'function') {
+        await step(client);
+    } else {
+        await client.query(step);
+    }
+};
+
+// Runs fn on a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+const appliedVersions = async (client) => {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+};
+
+// Applies pending migrations in order; returns the versions applied
+async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Set((await appliedVersions(client)).map(row => row.version));
+        const done = [];
+
+        for (const migration of loadMigrations()) {
+            if (applied.has(migration.version) || migration.version > to) continue;
+
+            log(`⬆️  Migrating ${migration.id}`);
+            try {
+                await client.query('BEGIN');
+                await runStep(client, migration.up);
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                err.message = `Migration ${migration.id} failed: ${err.message}`;
+                throw err;
+            }
+            done.push(migration.version);
+        }
+        return done;
+    });
+}
+
+// Rolls back the most recently applied migrations; returns the versions reverted
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+    return withMigrationLock(pool, async (client) => {
+        const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+        const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+        const done = [];
+
+        for (const row of applied) {
+            const migration = migrations.get(row.version);
+            if (!migration) throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+            if (!migration.down) throw new Error(`Migration ${migration.id} cannot be rolled back`);
+
+            log(`⬇️  Reverting ${migration.id}`);
+            try {
+                await client.query('BEGIN');
+                await runStep(client, migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                err.message = `Rollback of ${migration.id} failed: ${err.message}`;
+                throw err;
+            }
+            done.push(migration.version);
+        }
+        return done;
+    });
+}
+
+async function migrationStatus(pool) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Map((await appliedVersions(client)).map(row => [row.version, row.applied_at]));
+        return loadMigrations().map(m => ({
+            id: m.id,
+            version: m.version,
+            applied_at: applied.get(m.version) || null
+        }));
+    });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+if (require.main === module) {
+    require('dotenv').config();
+    const { Pool } = require('pg');
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    const commands = {
+        up: async () => {
+            const done = await migrateUp(pool, { to: arg ? parseInt(arg, 10) : Infinity });
+            console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Database is up to date');
+        },
+        down: async () => {
+            const done = await migrateDown(pool, { steps: arg ? parseInt(arg, 10) : 1 });
+            console.log(`✅ Reverted ${done.length} migration(s)`);
+        },
+        status: async () => {
+            for (const m of await migrationStatus(pool)) {
+                const state = m.applied_at ? `applied ${m.applied_at.toISOString()}` : 'pending';
+                console.log(`${m.id}  ${state}`);
+            }
+        }
+    };
+
+    if (!commands[command]) {
+        console.error('Usage: node migrate.js up [version] | down [steps] | status');
+        process.exit(1);
+    }
+
+    commands[command]()
+        .then(() => pool.end())
+        .catch(err => {
+            console.error('❌', err.message);
+            pool.end();
+            process.exitCode = 1;
+        });
+}
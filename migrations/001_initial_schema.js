@@ -0,0 +1,62 @@
+// Tables and indexes of the original single-installation dashboard
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS branches (
+            id INTEGER PRIMARY KEY,
+            branch_name TEXT,
+            is_active INTEGER DEFAULT 1
+        );
+        CREATE TABLE IF NOT EXISTS cashiers (
+            id INTEGER PRIMARY KEY,
+            name TEXT,
+            cashier_number TEXT,
+            branch_id INTEGER,
+            active INTEGER DEFAULT 1
+        );
+        CREATE TABLE IF NOT EXISTS accountants (
+            id INTEGER PRIMARY KEY,
+            name TEXT,
+            username TEXT
+        );
+        CREATE TABLE IF NOT EXISTS admins (
+            id SERIAL PRIMARY KEY,
+            username TEXT UNIQUE,
+            password TEXT,
+            name TEXT
+        );
+        CREATE TABLE IF NOT EXISTS reconciliations (
+            id INTEGER PRIMARY KEY,
+            reconciliation_number INTEGER,
+            cashier_id INTEGER,
+            accountant_id INTEGER,
+            reconciliation_date TEXT,
+            system_sales DECIMAL(15,2),
+            total_receipts DECIMAL(15,2),
+            surplus_deficit DECIMAL(15,2),
+            status TEXT,
+            notes TEXT
+        );
+        CREATE TABLE IF NOT EXISTS bank_receipts (
+            id INTEGER PRIMARY KEY,
+            reconciliation_id INTEGER,
+            bank_name TEXT,
+            amount DECIMAL(15,2)
+        );
+        CREATE TABLE IF NOT EXISTS cash_receipts (
+            id INTEGER PRIMARY KEY,
+            reconciliation_id INTEGER,
+            amount DECIMAL(15,2),
+            notes TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_reconciliation_number ON reconciliations(reconciliation_number DESC);
+        CREATE INDEX IF NOT EXISTS idx_reconciliations_cashier ON reconciliations(cashier_id);
+        CREATE INDEX IF NOT EXISTS idx_reconciliations_date ON reconciliations(reconciliation_date);
+        CREATE INDEX IF NOT EXISTS idx_bank_rec_id ON bank_receipts(reconciliation_id);
+        CREATE INDEX IF NOT EXISTS idx_cash_rec_id ON cash_receipts(reconciliation_id);
+        CREATE INDEX IF NOT EXISTS idx_cashiers_branch ON cashiers(branch_id);
+    `,
+    down: `
+        DROP TABLE IF EXISTS cash_receipts, bank_receipts, reconciliations, admins, accountants, cashiers, branches;
+    `
+};
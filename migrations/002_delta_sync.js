@@ -0,0 +1,30 @@
+// Delta sync: cursor of the push that last touched each row, tombstones and sync state
+const SYNCED_TABLES = ['branches', 'cashiers', 'accountants', 'reconciliations', 'bank_receipts', 'cash_receipts'];
+
+module.exports = {
+    up: `
+        ${SYNCED_TABLES.map(t => `
+        ALTER TABLE ${t} ADD COLUMN IF NOT EXISTS sync_version BIGINT DEFAULT 0;
+        ALTER TABLE ${t} ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();`).join('')}
+
+        CREATE TABLE IF NOT EXISTS sync_tombstones (
+            entity TEXT,
+            entity_id INTEGER,
+            sync_version BIGINT,
+            deleted_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (entity, entity_id)
+        );
+        CREATE TABLE IF NOT EXISTS sync_state (
+            tenant_id INTEGER PRIMARY KEY,
+            cursor BIGINT NOT NULL DEFAULT 0,
+            client_watermark TEXT,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS sync_state, sync_tombstones;
+        ${SYNCED_TABLES.map(t => `
+        ALTER TABLE ${t} DROP COLUMN IF EXISTS sync_version;
+        ALTER TABLE ${t} DROP COLUMN IF EXISTS updated_at;`).join('')}
+    `
+};
@@ -0,0 +1,52 @@
+// Multi-tenant: every row belongs to a tenant and desktop ids are unique per tenant.
+// Existing single-installation data becomes tenant 1. Not reversible: once several tenants
+// exist their ids overlap and cannot share the old single-column keys.
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS tenants (
+            id SERIAL PRIMARY KEY,
+            name TEXT NOT NULL,
+            code TEXT UNIQUE NOT NULL,
+            sync_key_hash TEXT UNIQUE,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        INSERT INTO tenants (id, name, code) VALUES (1, 'Default', 'default') ON CONFLICT (id) DO NOTHING;
+        SELECT setval(pg_get_serial_sequence('tenants', 'id'), (SELECT MAX(id) FROM tenants));
+
+        DO $$
+        DECLARE
+            t TEXT;
+        BEGIN
+            FOREACH t IN ARRAY ARRAY['branches', 'cashiers', 'accountants', 'reconciliations', 'bank_receipts', 'cash_receipts', 'sync_tombstones'] LOOP
+                EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS tenant_id INTEGER NOT NULL DEFAULT 1', t);
+                IF NOT EXISTS (
+                    SELECT 1 FROM pg_index i
+                    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+                    WHERE i.indrelid = t::regclass AND i.indisprimary AND a.attname = 'tenant_id'
+                ) THEN
+                    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT IF EXISTS %I', t, t || '_pkey');
+                    IF t = 'sync_tombstones' THEN
+                        ALTER TABLE sync_tombstones ADD PRIMARY KEY (tenant_id, entity, entity_id);
+                    ELSE
+                        EXECUTE format('ALTER TABLE %I ADD PRIMARY KEY (tenant_id, id)', t);
+                    END IF;
+                END IF;
+            END LOOP;
+
+            -- sync_state used to be a single row keyed by id = 1
+            IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sync_state' AND column_name = 'id') THEN
+                ALTER TABLE sync_state DROP CONSTRAINT IF EXISTS sync_state_pkey;
+                ALTER TABLE sync_state RENAME COLUMN id TO tenant_id;
+                ALTER TABLE sync_state ADD PRIMARY KEY (tenant_id);
+            END IF;
+        END $$;
+
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS tenant_id INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE admins DROP CONSTRAINT IF EXISTS admins_username_key;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_tenant_username ON admins(tenant_id, username);
+
+        INSERT INTO sync_state (tenant_id) SELECT id FROM tenants ON CONFLICT (tenant_id) DO NOTHING;
+
+        CREATE INDEX IF NOT EXISTS idx_reconciliations_tenant_date ON reconciliations(tenant_id, reconciliation_date);
+    `
+};
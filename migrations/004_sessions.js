@@ -0,0 +1,20 @@
+// Persistent sessions (token stored as SHA-256)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            admin_id INTEGER NOT NULL,
+            tenant_id INTEGER NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+            expires_at TIMESTAMPTZ NOT NULL,
+            revoked_at TIMESTAMPTZ,
+            user_agent TEXT,
+            ip TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_admin ON sessions(admin_id);
+    `,
+    down: `
+        DROP TABLE IF EXISTS sessions;
+    `
+};
@@ -0,0 +1,16 @@
+// Roles and branch assignments (existing accounts stay full admins)
+module.exports = {
+    up: `
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'admin';
+        CREATE TABLE IF NOT EXISTS admin_branches (
+            tenant_id INTEGER NOT NULL,
+            admin_id INTEGER NOT NULL,
+            branch_id INTEGER NOT NULL,
+            PRIMARY KEY (admin_id, branch_id)
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS admin_branches;
+        ALTER TABLE admins DROP COLUMN IF EXISTS role;
+    `
+};
@@ -0,0 +1,15 @@
+// Per-tenant settings (JSON values keyed by name)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS tenant_settings (
+            tenant_id INTEGER NOT NULL,
+            key TEXT NOT NULL,
+            value JSONB NOT NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (tenant_id, key)
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS tenant_settings;
+    `
+};
@@ -0,0 +1,34 @@
+// Alert rules and the alerts they fired (one per rule and dedupe key)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS alert_rules (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL,
+            params JSONB NOT NULL DEFAULT '{}',
+            branch_ids INTEGER[] NOT NULL DEFAULT '{}',
+            target_admin_ids INTEGER[] NOT NULL DEFAULT '{}',
+            target_roles TEXT[] NOT NULL DEFAULT '{}',
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            last_fired_at TIMESTAMPTZ
+        );
+        CREATE TABLE IF NOT EXISTS alert_events (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            rule_id INTEGER NOT NULL,
+            dedupe_key TEXT NOT NULL,
+            title TEXT,
+            message TEXT,
+            recipients INTEGER[] NOT NULL DEFAULT '{}',
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE (rule_id, dedupe_key)
+        );
+        CREATE INDEX IF NOT EXISTS idx_alert_events_tenant ON alert_events(tenant_id, created_at DESC);
+    `,
+    down: `
+        DROP TABLE IF EXISTS alert_events, alert_rules;
+    `
+};
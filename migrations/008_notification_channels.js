@@ -0,0 +1,34 @@
+// Notification channels chosen by each admin, and the delivery queue
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS admin_channels (
+            tenant_id INTEGER NOT NULL,
+            admin_id INTEGER NOT NULL,
+            channel TEXT NOT NULL,
+            config JSONB NOT NULL DEFAULT '{}',
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (admin_id, channel)
+        );
+        CREATE TABLE IF NOT EXISTS notification_queue (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            admin_id INTEGER NOT NULL,
+            channel TEXT NOT NULL,
+            config JSONB NOT NULL DEFAULT '{}',
+            title TEXT,
+            message TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            sent_at TIMESTAMPTZ
+        );
+        CREATE INDEX IF NOT EXISTS idx_notification_queue_due ON notification_queue(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_notification_queue_tenant ON notification_queue(tenant_id, id DESC);
+    `,
+    down: `
+        DROP TABLE IF EXISTS notification_queue, admin_channels;
+    `
+};
@@ -0,0 +1,37 @@
+// Sync audit: one row per push, and field-level changes of audited rows (append-only)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS sync_runs (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            protocol INTEGER,
+            source TEXT,
+            ip TEXT,
+            user_agent TEXT,
+            cursor BIGINT,
+            applied JSONB,
+            deleted JSONB,
+            error TEXT,
+            started_at TIMESTAMPTZ,
+            finished_at TIMESTAMPTZ,
+            duration_ms INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_sync_runs_tenant ON sync_runs(tenant_id, id DESC);
+        CREATE TABLE IF NOT EXISTS row_history (
+            id BIGSERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            sync_version BIGINT,
+            entity TEXT NOT NULL,
+            entity_id INTEGER NOT NULL,
+            reconciliation_id INTEGER,
+            action TEXT NOT NULL,
+            changes JSONB NOT NULL,
+            changed_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_row_history_reconciliation ON row_history(tenant_id, reconciliation_id);
+    `,
+    down: `
+        DROP TABLE IF EXISTS row_history, sync_runs;
+    `
+};
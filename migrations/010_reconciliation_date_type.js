@@ -0,0 +1,46 @@
+// reconciliation_date becomes a real DATE. The desktop app sends ISO dates (optionally with a
+// time); any other value, including impossible ones like 2024-02-30, is kept in
+// legacy_reconciliation_dates instead of being lost or failing the migration.
+module.exports = {
+    up: `
+        CREATE FUNCTION pg_temp.legacy_to_date(value TEXT) RETURNS DATE AS $fn$
+        BEGIN
+            IF value !~ '^\\d{4}-\\d{2}-\\d{2}' THEN
+                RETURN NULL;
+            END IF;
+            RETURN substring(value from 1 for 10)::date;
+        EXCEPTION WHEN others THEN
+            RETURN NULL;
+        END;
+        $fn$ LANGUAGE plpgsql IMMUTABLE;
+
+        DO $$
+        BEGIN
+            IF (SELECT data_type FROM information_schema.columns
+                WHERE table_name = 'reconciliations' AND column_name = 'reconciliation_date') = 'text' THEN
+                CREATE TABLE legacy_reconciliation_dates (
+                    tenant_id INTEGER NOT NULL,
+                    id INTEGER NOT NULL,
+                    value TEXT,
+                    PRIMARY KEY (tenant_id, id)
+                );
+                INSERT INTO legacy_reconciliation_dates (tenant_id, id, value)
+                SELECT tenant_id, id, reconciliation_date FROM reconciliations
+                WHERE reconciliation_date IS NOT NULL AND pg_temp.legacy_to_date(reconciliation_date) IS NULL;
+
+                ALTER TABLE reconciliations ALTER COLUMN reconciliation_date TYPE DATE
+                    USING pg_temp.legacy_to_date(reconciliation_date);
+            END IF;
+        END $$;
+
+        DROP FUNCTION pg_temp.legacy_to_date(TEXT);
+    `,
+    down: `
+        ALTER TABLE reconciliations ALTER COLUMN reconciliation_date TYPE TEXT
+            USING to_char(reconciliation_date, 'YYYY-MM-DD');
+        UPDATE reconciliations r SET reconciliation_date = l.value
+        FROM legacy_reconciliation_dates l
+        WHERE l.tenant_id = r.tenant_id AND l.id = r.id;
+        DROP TABLE IF EXISTS legacy_reconciliation_dates;
+    `
+};
@@ -0,0 +1,28 @@
+// Pushed records rejected by validation, kept for review; one open entry per record
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS sync_quarantine (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            sync_version BIGINT,
+            entity TEXT NOT NULL,
+            entity_id INTEGER,
+            record JSONB NOT NULL,
+            errors JSONB NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            times_seen INTEGER NOT NULL DEFAULT 1,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+            reviewed_by INTEGER,
+            reviewed_at TIMESTAMPTZ
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_quarantine_pending
+            ON sync_quarantine(tenant_id, entity, entity_id) WHERE status = 'pending';
+        CREATE INDEX IF NOT EXISTS idx_sync_quarantine_tenant ON sync_quarantine(tenant_id, id DESC);
+        ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS rejected INTEGER NOT NULL DEFAULT 0;
+    `,
+    down: `
+        ALTER TABLE sync_runs DROP COLUMN IF EXISTS rejected;
+        DROP TABLE IF EXISTS sync_quarantine;
+    `
+};
@@ -0,0 +1,20 @@
+// Archived copies of reconciliations and receipts, taken before a reset or a restore
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS data_snapshots (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            counts JSONB NOT NULL,
+            data JSONB NOT NULL,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            restored_by INTEGER,
+            restored_at TIMESTAMPTZ
+        );
+        CREATE INDEX IF NOT EXISTS idx_data_snapshots_tenant ON data_snapshots(tenant_id, id DESC);
+    `,
+    down: `
+        DROP TABLE IF EXISTS data_snapshots;
+    `
+};
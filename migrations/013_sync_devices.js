@@ -0,0 +1,26 @@
+// Desktop installs registered by admins, each with its own sync key (only the hash is stored)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS sync_devices (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            key_hash TEXT UNIQUE NOT NULL,
+            key_prefix TEXT NOT NULL,
+            created_by INTEGER,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            rotated_at TIMESTAMPTZ,
+            revoked_at TIMESTAMPTZ,
+            last_seen_at TIMESTAMPTZ,
+            last_ip TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_sync_devices_tenant ON sync_devices(tenant_id);
+        ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS device_id INTEGER;
+        ALTER TABLE sync_quarantine ADD COLUMN IF NOT EXISTS device_id INTEGER;
+    `,
+    down: `
+        ALTER TABLE sync_quarantine DROP COLUMN IF EXISTS device_id;
+        ALTER TABLE sync_runs DROP COLUMN IF EXISTS device_id;
+        DROP TABLE IF EXISTS sync_devices;
+    `
+};
@@ -0,0 +1,25 @@
+// Cash receipts keep the desktop's denomination count as columns instead of a "فئة N" note
+module.exports = {
+    up: `
+        ALTER TABLE cash_receipts ADD COLUMN IF NOT EXISTS denomination DECIMAL(10,2);
+        ALTER TABLE cash_receipts ADD COLUMN IF NOT EXISTS quantity INTEGER;
+
+        -- Rows synced earlier only have the note written by the old sync code
+        UPDATE cash_receipts
+        SET denomination = substring(notes FROM '^فئة ([0-9]+(\\.[0-9]+)?)$')::numeric,
+            notes = NULL
+        WHERE denomination IS NULL AND notes ~ '^فئة [0-9]+(\\.[0-9]+)?$';
+
+        UPDATE cash_receipts SET quantity = (amount / denomination)::int
+        WHERE quantity IS NULL AND denomination > 0 AND MOD(amount, denomination) = 0;
+
+        CREATE INDEX IF NOT EXISTS idx_cash_receipts_denomination ON cash_receipts(tenant_id, denomination);
+    `,
+    down: `
+        UPDATE cash_receipts SET notes = 'فئة ' || TRIM(TRAILING '.' FROM TRIM(TRAILING '0' FROM denomination::text))
+        WHERE notes IS NULL AND denomination IS NOT NULL;
+        DROP INDEX IF EXISTS idx_cash_receipts_denomination;
+        ALTER TABLE cash_receipts DROP COLUMN IF EXISTS quantity;
+        ALTER TABLE cash_receipts DROP COLUMN IF EXISTS denomination;
+    `
+};
@@ -0,0 +1,14 @@
+// Bank receipts: operation type, POS terminal and reference next to the bank.
+// Older rows keep whatever the previous sync wrote in bank_name (it could not tell them apart).
+module.exports = {
+    up: `
+        ALTER TABLE bank_receipts ADD COLUMN IF NOT EXISTS operation_type TEXT;
+        ALTER TABLE bank_receipts ADD COLUMN IF NOT EXISTS terminal_id TEXT;
+        ALTER TABLE bank_receipts ADD COLUMN IF NOT EXISTS reference_number TEXT;
+    `,
+    down: `
+        ALTER TABLE bank_receipts DROP COLUMN IF EXISTS reference_number;
+        ALTER TABLE bank_receipts DROP COLUMN IF EXISTS terminal_id;
+        ALTER TABLE bank_receipts DROP COLUMN IF EXISTS operation_type;
+    `
+};
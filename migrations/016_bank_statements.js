@@ -0,0 +1,43 @@
+// Uploaded bank statements and their credit lines, each matched to at most one bank receipt
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS bank_statements (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            file_name TEXT,
+            format TEXT NOT NULL,
+            bank_name TEXT,
+            account TEXT,
+            period_from DATE,
+            period_to DATE,
+            line_count INTEGER DEFAULT 0,
+            uploaded_by INTEGER,
+            uploaded_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_bank_statements_tenant ON bank_statements(tenant_id, uploaded_at DESC);
+
+        CREATE TABLE IF NOT EXISTS bank_statement_lines (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            statement_id INTEGER NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+            line_no INTEGER NOT NULL,
+            booking_date DATE NOT NULL,
+            amount DECIMAL(15, 2) NOT NULL,
+            reference TEXT,
+            description TEXT,
+            terminal_id TEXT,
+            match_status TEXT NOT NULL DEFAULT 'unmatched', -- matched | suspicious | unmatched
+            match_reason TEXT,
+            bank_receipt_id INTEGER,
+            match_source TEXT, -- auto | manual
+            confirmed_by INTEGER,
+            confirmed_at TIMESTAMPTZ
+        );
+        CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_statement ON bank_statement_lines(statement_id, line_no);
+        CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_receipt ON bank_statement_lines(tenant_id, bank_receipt_id);
+    `,
+    down: `
+        DROP TABLE IF EXISTS bank_statement_lines;
+        DROP TABLE IF EXISTS bank_statements;
+    `
+};
@@ -0,0 +1,31 @@
+// Scheduled summary digests: each user's daily/weekly schedule and the digests already sent
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS digest_schedules (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            admin_id INTEGER NOT NULL,
+            kind TEXT NOT NULL, -- daily | weekly
+            send_time TEXT NOT NULL DEFAULT '08:00', -- HH:MM in ALERT_TIMEZONE
+            weekday INTEGER, -- 0 (Sunday) .. 6, weekly only
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            last_sent_at TIMESTAMPTZ,
+            UNIQUE (admin_id, kind)
+        );
+        CREATE TABLE IF NOT EXISTS digest_runs (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            schedule_id INTEGER NOT NULL REFERENCES digest_schedules(id) ON DELETE CASCADE,
+            period_end DATE NOT NULL,
+            title TEXT,
+            message TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE (schedule_id, period_end)
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS digest_runs, digest_schedules;
+    `
+};
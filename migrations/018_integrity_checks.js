@@ -0,0 +1,39 @@
+// Integrity checks of the synced data: what each run found, and the issues it keeps track of
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS integrity_runs (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            trigger TEXT NOT NULL, -- sync | manual | reset | restore
+            started_at TIMESTAMPTZ NOT NULL,
+            finished_at TIMESTAMPTZ DEFAULT NOW(),
+            open_issues INTEGER NOT NULL DEFAULT 0,
+            new_issues INTEGER NOT NULL DEFAULT 0,
+            resolved_issues INTEGER NOT NULL DEFAULT 0,
+            run_by INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_integrity_runs_tenant ON integrity_runs(tenant_id, id DESC);
+
+        CREATE TABLE IF NOT EXISTS integrity_issues (
+            id SERIAL PRIMARY KEY,
+            tenant_id INTEGER NOT NULL,
+            kind TEXT NOT NULL,
+            entity TEXT NOT NULL,
+            entity_id INTEGER NOT NULL,
+            reconciliation_id INTEGER,
+            details JSONB NOT NULL DEFAULT '{}',
+            status TEXT NOT NULL DEFAULT 'open', -- open | dismissed | resolved
+            first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+            last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+            resolved_at TIMESTAMPTZ,
+            reviewed_by INTEGER,
+            reviewed_at TIMESTAMPTZ
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_integrity_issues_current
+            ON integrity_issues(tenant_id, kind, entity, entity_id) WHERE status <> 'resolved';
+        CREATE INDEX IF NOT EXISTS idx_integrity_issues_tenant ON integrity_issues(tenant_id, status, last_seen_at DESC);
+    `,
+    down: `
+        DROP TABLE IF EXISTS integrity_issues, integrity_runs;
+    `
+};
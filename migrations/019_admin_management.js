@@ -0,0 +1,23 @@
+// Accounts managed from the dashboard: where each account and its password come from, and disabling
+// (existing accounts count as desktop-synced)
+module.exports = {
+    up: `
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'desktop'; -- desktop | cloud
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS password_source TEXT NOT NULL DEFAULT 'desktop'; -- desktop | cloud
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS disabled_by INTEGER;
+        ALTER TABLE admins ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+    `,
+    down: `
+        ALTER TABLE admins
+            DROP COLUMN IF EXISTS source,
+            DROP COLUMN IF EXISTS password_source,
+            DROP COLUMN IF EXISTS password_changed_at,
+            DROP COLUMN IF EXISTS must_change_password,
+            DROP COLUMN IF EXISTS disabled_at,
+            DROP COLUMN IF EXISTS disabled_by,
+            DROP COLUMN IF EXISTS created_at;
+    `
+};
@@ -1 +1,3 @@
-importScripts('https://cdn.onesignal.com/sdks/web/v16/OneSignalSDK.sw.js');
+// Older installs registered this path for OneSignal; it now loads the dashboard worker, which
+// includes OneSignal's, so push and offline caching work whichever of the two is registered.
+importScripts('/sw.js');
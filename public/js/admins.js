@@ -0,0 +1,254 @@
+// Admin accounts screen (admins only): accounts, roles and branch assignments, passwords,
+// and whether the desktop app's passwords replace the ones set here
+const ROLE_LABELS = {
+    admin: 'مدير',
+    auditor: 'مدقق (قراءة فقط)',
+    supervisor: 'مشرف فرع'
+};
+
+const ADMIN_SOURCE_LABELS = {
+    desktop: 'من البرنامج',
+    cloud: 'من لوحة التحكم'
+};
+
+let adminBranchOptions = [];
+
+const roleOptionsHtml = (selected) => Object.entries(ROLE_LABELS)
+    .map(([value, label]) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+// Suggested temporary password (the user replaces it at first login)
+const PASSWORD_CHARS = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generatePassword = () => Array.from(crypto.getRandomValues(new Uint8Array(12)), b => PASSWORD_CHARS[b % PASSWORD_CHARS.length]).join('');
+
+async function loadAdmins() {
+    const tbody = document.getElementById('adminsTable');
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    const roleSelect = document.getElementById('newAdminRole');
+    if (!roleSelect.options.length) roleSelect.innerHTML = roleOptionsHtml('supervisor');
+    const passwordInput = document.getElementById('newAdminPassword');
+    if (!passwordInput.value) passwordInput.value = generatePassword();
+
+    try {
+        const [data, meta] = await Promise.all([api.get('/api/admins'), api.get('/api/metadata')]);
+        if (data.error) throw new Error(data.error);
+        adminBranchOptions = meta.branches || [];
+        document.getElementById('adminSyncPolicy').value = data.policy.desktopPasswords;
+
+        if (data.admins.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">لا توجد بيانات</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = '';
+        data.admins.forEach(a => {
+            const tr = document.createElement('tr');
+            tr.dataset.adminId = a.id;
+            tr.dataset.username = a.username;
+            const isSelf = currentUser && currentUser.id === a.id;
+
+            const branchChecks = adminBranchOptions.map(b => `
+                <label style="display: inline-flex; align-items: center; gap: 0.25rem; margin: 0 0 0.25rem 0.75rem;">
+                    <input type="checkbox" value="${b.id}" ${a.branch_ids.includes(b.id) ? 'checked' : ''} style="width: auto;">
+                    ${escapeHtml(b.branch_name)}
+                </label>
+            `).join('');
+
+            const passwordNote = a.password_source === 'cloud' ? 'كلمة المرور من لوحة التحكم' : 'كلمة المرور من البرنامج';
+            const actionStyle = 'width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;';
+
+            tr.innerHTML = `
+                <td>
+                    ${escapeHtml(a.username)}
+                    ${a.disabled_at ? '<br><span class="badge badge-danger">معطل</span>' : ''}
+                    ${a.must_change_password ? '<br><span class="badge badge-warning">بانتظار تغيير كلمة المرور</span>' : ''}
+                </td>
+                <td class="hide-mobile">
+                    <input type="text" class="admin-name" value="${escapeHtml(a.name || '')}" data-original="${escapeHtml(a.name || '')}">
+                </td>
+                <td class="hide-mobile">
+                    ${escapeHtml(ADMIN_SOURCE_LABELS[a.source] || a.source)}
+                    <br><small style="color: var(--text-secondary);">${passwordNote}</small>
+                    ${a.last_seen_at ? `<br><small style="color: var(--text-secondary);">آخر نشاط: ${new Date(a.last_seen_at).toLocaleString('en-GB')}</small>` : ''}
+                </td>
+                <td>
+                    <select class="form-select admin-role" onchange="toggleAdminBranches(this)">${roleOptionsHtml(a.role)}</select>
+                </td>
+                <td>
+                    <div class="admin-branches" style="display: ${a.role === 'supervisor' ? 'block' : 'none'};">
+                        ${branchChecks || '<span style="color: var(--text-secondary);">لا توجد فروع</span>'}
+                    </div>
+                    <span class="admin-all-branches" style="display: ${a.role === 'supervisor' ? 'none' : 'inline'}; color: var(--text-secondary);">جميع الفروع</span>
+                </td>
+                <td class="text-end" style="white-space: nowrap;">
+                    <button onclick="saveAdminAccess(${a.id}, this)" class="btn" style="${actionStyle}">حفظ</button>
+                    <button onclick="resetAdminPassword(${a.id}, this)" class="btn" style="${actionStyle} background-color: #4a5568;">كلمة المرور</button>
+                    ${isSelf ? '' : `
+                        <button onclick="setAdminDisabled(${a.id}, ${!a.disabled_at}, this)" class="btn"
+                            style="${actionStyle} background-color: ${a.disabled_at ? '#15803d' : '#b45309'};">${a.disabled_at ? 'تفعيل' : 'تعطيل'}</button>
+                        <button onclick="deleteAdmin(${a.id}, '${a.source}', this)" class="btn" style="${actionStyle} background-color: var(--danger);">حذف</button>
+                    `}
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+function toggleAdminBranches(select) {
+    const row = select.closest('tr');
+    const isSupervisor = select.value === 'supervisor';
+    row.querySelector('.admin-branches').style.display = isSupervisor ? 'block' : 'none';
+    row.querySelector('.admin-all-branches').style.display = isSupervisor ? 'none' : 'inline';
+}
+
+async function saveAdminAccess(id, btn) {
+    const row = btn.closest('tr');
+    const role = row.querySelector('.admin-role').value;
+    const branchIds = [...row.querySelectorAll('.admin-branches input:checked')].map(input => Number(input.value));
+    const nameInput = row.querySelector('.admin-name');
+    const name = nameInput.value.trim();
+
+    if (role === 'supervisor' && branchIds.length === 0) {
+        alert('الرجاء اختيار فرع واحد على الأقل لمشرف الفرع');
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        let result = await api.put(`/api/admins/${id}/access`, { role, branchIds });
+        if (result.success && name && name !== nameInput.dataset.original) {
+            result = await api.put(`/api/admins/${id}`, { name });
+            if (result.success) nameInput.dataset.original = name;
+        }
+        if (result.success) {
+            btn.textContent = '✓';
+            setTimeout(() => btn.textContent = 'حفظ', 1000);
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function createAdmin(btn) {
+    const body = {
+        username: document.getElementById('newAdminUsername').value.trim(),
+        name: document.getElementById('newAdminName').value.trim(),
+        password: document.getElementById('newAdminPassword').value,
+        role: document.getElementById('newAdminRole').value,
+        branchIds: []
+    };
+    if (!body.username) {
+        alert('الرجاء إدخال اسم المستخدم');
+        return;
+    }
+    if (body.password.length < 8) {
+        alert('كلمة المرور يجب أن تكون 8 أحرف على الأقل');
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const result = await api.post('/api/admins', body);
+        if (result.success) {
+            alert(`تمت إضافة ${body.username}. كلمة المرور المؤقتة: ${body.password}` +
+                (body.role === 'supervisor' ? '\nاختر فروع المشرف في الجدول ثم اضغط حفظ.' : ''));
+            ['newAdminUsername', 'newAdminName', 'newAdminPassword'].forEach(id => { document.getElementById(id).value = ''; });
+            loadAdmins();
+        } else {
+            alert(result.error === 'Username already exists' ? 'اسم المستخدم موجود مسبقاً' : (result.error || 'تعذر الحفظ'));
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function resetAdminPassword(id, btn) {
+    if (currentUser && currentUser.id === id) return openPasswordDialog();
+    const username = btn.closest('tr').dataset.username;
+
+    const password = prompt(`كلمة مرور مؤقتة جديدة لـ ${username} (سيطلب منه تغييرها عند الدخول، وتنتهي جلساته الحالية)`, generatePassword());
+    if (password === null) return;
+    if (password.length < 8) {
+        alert('كلمة المرور يجب أن تكون 8 أحرف على الأقل');
+        return;
+    }
+
+    try {
+        const result = await api.post(`/api/admins/${id}/password`, { password });
+        if (result.success) {
+            alert(`تم تعيين كلمة المرور المؤقتة: ${password}`);
+            loadAdmins();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    }
+}
+
+async function setAdminDisabled(id, disable, btn) {
+    if (disable && !confirm('تعطيل هذا المستخدم؟ ستنتهي جلساته ولن يتمكن من الدخول حتى يعاد تفعيله، ولا تعيد المزامنة تفعيله.')) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/admins/${id}/${disable ? 'disable' : 'enable'}`);
+        if (result.success) {
+            loadAdmins();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+async function deleteAdmin(id, source, btn) {
+    const warning = source === 'desktop'
+        ? 'هذا المستخدم قادم من البرنامج وسيعاد إنشاؤه عند المزامنة التالية. لمنعه من الدخول استخدم التعطيل بدلاً من الحذف.\n\nحذفه على أي حال؟'
+        : 'حذف هذا المستخدم نهائياً مع إعداداته؟';
+    if (!confirm(warning)) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.del(`/api/admins/${id}`);
+        if (result.success) {
+            loadAdmins();
+        } else {
+            alert(result.error || 'تعذر الحذف');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+async function saveAdminSyncPolicy(select) {
+    select.disabled = true;
+    try {
+        const result = await api.put('/api/settings/admin-sync', { desktopPasswords: select.value });
+        if (!result.success) {
+            alert(result.error || 'تعذر الحفظ');
+            loadAdmins();
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        select.disabled = false;
+    }
+}
+
+viewLoaders.admins = loadAdmins;
@@ -0,0 +1,216 @@
+// Alert rules screen (admins only): rules that send push notifications to chosen admins or roles
+const ALERT_TYPE_LABELS = {
+    deficit_below: 'عجز في تصفية أكبر من مبلغ',
+    bank_receipt_above: 'مقبوض بنكي أكبر من مبلغ',
+    repeat_deficit: 'عجز متكرر لنفس الكاشير',
+    missing_reconciliation: 'فرع بدون تصفية حتى وقت محدد'
+};
+
+// Inputs used by each rule type (the server validates the same list)
+const ALERT_TYPE_PARAMS = {
+    deficit_below: ['amount'],
+    bank_receipt_above: ['amount'],
+    repeat_deficit: ['count', 'days'],
+    missing_reconciliation: ['cutoff']
+};
+
+const ALERT_PARAM_INPUTS = {
+    amount: 'alertAmount',
+    count: 'alertCount',
+    days: 'alertDays',
+    cutoff: 'alertCutoff'
+};
+
+let alertRules = [];
+let alertAdmins = [];
+let alertBranches = [];
+
+function describeAlertRule(rule) {
+    const p = rule.params;
+    switch (rule.type) {
+        case 'deficit_below': return `عجز > ${p.amount}`;
+        case 'bank_receipt_above': return `مقبوض بنكي > ${p.amount}`;
+        case 'repeat_deficit': return `${p.count} مرات عجز خلال ${p.days} أيام`;
+        case 'missing_reconciliation': return `لا تصفية حتى ${p.cutoff}`;
+        default: return rule.type;
+    }
+}
+
+function checkList(containerId, items, selected) {
+    document.getElementById(containerId).innerHTML = items.map(item => `
+        <label>
+            <input type="checkbox" value="${escapeHtml(item.value)}" ${selected.includes(item.value) ? 'checked' : ''}>
+            ${escapeHtml(item.label)}
+        </label>
+    `).join('') || '<span style="color: var(--text-secondary);">-</span>';
+}
+
+const checkedValues = (containerId) =>
+    [...document.querySelectorAll(`#${containerId} input:checked`)].map(input => input.value);
+
+function toggleAlertParams() {
+    const params = ALERT_TYPE_PARAMS[document.getElementById('alertType').value] || [];
+    document.querySelectorAll('#view-alerts [data-param]').forEach(el => {
+        el.style.display = params.includes(el.dataset.param) ? '' : 'none';
+    });
+}
+
+function fillAlertForm(rule) {
+    document.getElementById('alertFormTitle').textContent = rule.id ? 'تعديل قاعدة التنبيه' : 'قاعدة تنبيه جديدة';
+    document.getElementById('alertRuleId').value = rule.id || '';
+    document.getElementById('alertName').value = rule.name || '';
+    document.getElementById('alertType').value = rule.type;
+    document.getElementById('alertEnabled').checked = rule.enabled !== false;
+    Object.entries(ALERT_PARAM_INPUTS).forEach(([key, id]) => {
+        document.getElementById(id).value = rule.params[key] ?? '';
+    });
+
+    checkList('alertBranches', alertBranches.map(b => ({ value: String(b.id), label: b.branch_name })),
+        rule.branch_ids.map(String));
+    checkList('alertRoles', Object.entries(ROLE_LABELS).map(([value, label]) => ({ value, label })),
+        rule.target_roles);
+    checkList('alertAdmins', alertAdmins.map(a => ({ value: String(a.id), label: a.name || a.username })),
+        rule.target_admin_ids.map(String));
+    toggleAlertParams();
+}
+
+function resetAlertForm() {
+    fillAlertForm({
+        type: 'deficit_below',
+        params: {},
+        branch_ids: [],
+        target_roles: ['admin'],
+        target_admin_ids: []
+    });
+}
+
+function editAlertRule(id) {
+    const rule = alertRules.find(r => r.id === id);
+    if (rule) {
+        fillAlertForm(rule);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+}
+
+async function loadAlerts() {
+    const typeSelect = document.getElementById('alertType');
+    if (!typeSelect.options.length) {
+        typeSelect.innerHTML = Object.entries(ALERT_TYPE_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    }
+
+    const tbody = document.getElementById('alertRulesTable');
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const [rules, admins, meta, events] = await Promise.all([
+            api.get('/api/alert-rules'),
+            api.get('/api/admins'),
+            api.get('/api/metadata'),
+            api.get('/api/alert-events')
+        ]);
+        alertRules = Array.isArray(rules) ? rules : [];
+        alertAdmins = Array.isArray(admins) ? admins : [];
+        alertBranches = meta.branches || [];
+
+        if (!document.getElementById('alertRuleId').value) resetAlertForm();
+
+        const adminName = (id) => {
+            const admin = alertAdmins.find(a => a.id === id);
+            return admin ? (admin.name || admin.username) : `#${id}`;
+        };
+        const recipients = (rule) => [
+            ...rule.target_roles.map(role => ROLE_LABELS[role] || role),
+            ...rule.target_admin_ids.map(adminName)
+        ].join('، ');
+
+        tbody.innerHTML = alertRules.length === 0
+            ? '<tr><td colspan="5" style="text-align: center;">لا توجد قواعد</td></tr>'
+            : alertRules.map(rule => `
+                <tr>
+                    <td>${escapeHtml(rule.name)}</td>
+                    <td class="hide-mobile">${escapeHtml(describeAlertRule(rule))}</td>
+                    <td class="hide-mobile">${escapeHtml(recipients(rule))}</td>
+                    <td>
+                        <span class="badge ${rule.enabled ? 'badge-success' : 'badge-warning'}">${rule.enabled ? 'مفعلة' : 'متوقفة'}</span>
+                    </td>
+                    <td class="text-end">
+                        <button onclick="editAlertRule(${rule.id})" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;">تعديل</button>
+                        <button onclick="deleteAlertRule(${rule.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: var(--danger);">حذف</button>
+                    </td>
+                </tr>
+            `).join('');
+
+        const eventsBody = document.getElementById('alertEventsTable');
+        eventsBody.innerHTML = !Array.isArray(events) || events.length === 0
+            ? '<tr><td colspan="4" style="text-align: center;">لا توجد تنبيهات</td></tr>'
+            : events.map(e => `
+                <tr>
+                    <td style="white-space: nowrap;">${new Date(e.created_at).toLocaleString('en-GB')}</td>
+                    <td>${escapeHtml(e.rule_name || '-')}</td>
+                    <td>${escapeHtml(e.message)}</td>
+                    <td class="hide-mobile">${escapeHtml(e.recipients.map(adminName).join('، ') || '-')}</td>
+                </tr>
+            `).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function saveAlertRule(btn) {
+    const id = document.getElementById('alertRuleId').value;
+    const type = document.getElementById('alertType').value;
+    const params = {};
+    ALERT_TYPE_PARAMS[type].forEach(key => {
+        params[key] = document.getElementById(ALERT_PARAM_INPUTS[key]).value;
+    });
+
+    const body = {
+        name: document.getElementById('alertName').value,
+        type,
+        params,
+        branchIds: checkedValues('alertBranches').map(Number),
+        targetRoles: checkedValues('alertRoles'),
+        targetAdminIds: checkedValues('alertAdmins').map(Number),
+        enabled: document.getElementById('alertEnabled').checked
+    };
+
+    btn.disabled = true;
+    try {
+        const result = id ? await api.put(`/api/alert-rules/${id}`, body) : await api.post('/api/alert-rules', body);
+        if (result.success) {
+            document.getElementById('alertRuleId').value = '';
+            loadAlerts();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function deleteAlertRule(id, btn) {
+    if (!confirm('حذف قاعدة التنبيه؟')) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.del(`/api/alert-rules/${id}`);
+        if (result.success) {
+            if (document.getElementById('alertRuleId').value === String(id)) {
+                document.getElementById('alertRuleId').value = '';
+            }
+            loadAlerts();
+        } else {
+            alert(result.error || 'تعذر الحذف');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.alerts = loadAlerts;
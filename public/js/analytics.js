@@ -0,0 +1,80 @@
+// Analytics screen: trends, payment split and branch/cashier rankings for the current filters
+async function loadAnalytics() {
+    const query = buildFilterQuery();
+    loadDenominations(query.toString());
+    query.set('interval', document.getElementById('analyticsInterval').value);
+
+    const charts = ['chartTrend', 'chartDeficit', 'chartPaymentSplit', 'chartBranches', 'chartCashiers']
+        .map(id => document.getElementById(id));
+    charts.forEach(el => { el.innerHTML = '<div class="chart-empty">جاري التحميل...</div>'; });
+
+    try {
+        const [series, split, branches, cashiers] = await Promise.all([
+            api.get(`/api/analytics/series?${query}`),
+            api.get(`/api/analytics/payment-split?${query}`),
+            api.get(`/api/analytics/breakdown?by=branch&${query}`),
+            api.get(`/api/analytics/breakdown?by=cashier&${query}`)
+        ]);
+
+        const labels = series.rows.map(row => formatDate(row.period));
+        renderLineChart(document.getElementById('chartTrend'), {
+            labels,
+            series: [
+                { name: 'مبيعات النظام', color: CHART_COLORS.sales, values: series.rows.map(row => row.system_sales) },
+                { name: 'إجمالي المقبوضات', color: CHART_COLORS.receipts, values: series.rows.map(row => row.total_receipts) }
+            ]
+        });
+        renderLineChart(document.getElementById('chartDeficit'), {
+            labels,
+            bars: true,
+            series: [{ name: 'الفارق', values: series.rows.map(row => row.surplus_deficit) }]
+        });
+
+        renderDonutChart(document.getElementById('chartPaymentSplit'), [
+            { name: 'نقدي', color: CHART_COLORS.cash, value: split.cash },
+            { name: 'بنكي', color: CHART_COLORS.bank, value: split.bank }
+        ]);
+
+        renderBarChart(document.getElementById('chartBranches'),
+            branches.rows.map(row => ({ label: row.name || 'غير محدد', value: row.total_receipts })));
+        renderBarChart(document.getElementById('chartCashiers'),
+            cashiers.rows.map(row => ({ label: row.name || 'غير محدد', value: row.total_receipts })),
+            { color: CHART_COLORS.sales });
+    } catch (err) {
+        console.error(err);
+        charts.forEach(el => { el.innerHTML = '<div class="chart-empty">حدث خطأ في تحميل البيانات</div>'; });
+    }
+}
+
+// Cash counted per branch and denomination (what each branch needs in change)
+async function loadDenominations(query) {
+    const tbody = document.getElementById('denominationsTable');
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const data = await api.get(`/api/analytics/denominations?${query}`);
+        if (data.error) throw new Error(data.error);
+
+        let lastBranch;
+        tbody.innerHTML = data.rows.length === 0
+            ? '<tr><td colspan="5" style="text-align: center;">لا توجد بيانات فئات</td></tr>'
+            : data.rows.map(row => {
+                const firstOfBranch = row.branch_id !== lastBranch;
+                lastBranch = row.branch_id;
+                return `
+                    <tr style="${firstOfBranch ? 'border-top: 2px solid var(--border);' : ''}">
+                        <td>${firstOfBranch ? escapeHtml(row.branch_name || 'غير محدد') : ''}</td>
+                        <td>${row.denomination}</td>
+                        <td>${row.quantity.toLocaleString('en-US')}</td>
+                        <td class="hide-mobile" style="direction: ltr; text-align: right;">${formatCurrency(row.total)}</td>
+                        <td>${row.daily_quantity.toLocaleString('en-US', { maximumFractionDigits: 1 })}</td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--danger);">حدث خطأ في تحميل البيانات</td></tr>';
+    }
+}
+
+viewLoaders.analytics = loadAnalytics;
@@ -0,0 +1,57 @@
+// Bank receipts screen: totals per bank and per operation type for the current filters,
+// in the shape finance needs to tick them off against bank statements
+const UNSPECIFIED = 'غير محدد';
+
+function bankSummaryRows(tbodyId, groups, total) {
+    document.getElementById(tbodyId).innerHTML = groups.length === 0
+        ? '<tr><td colspan="4" style="text-align: center;">لا توجد بيانات</td></tr>'
+        : groups.map(g => `
+            <tr>
+                <td>${escapeHtml(g.name || UNSPECIFIED)}</td>
+                <td>${g.count}</td>
+                <td style="direction: ltr; text-align: right;">${formatCurrency(g.total)}</td>
+                <td class="hide-mobile">${total ? Math.round((g.total / total) * 100) : 0}%</td>
+            </tr>
+        `).join('');
+}
+
+async function loadBankSummary() {
+    const chart = document.getElementById('chartOperationTypes');
+    chart.innerHTML = '<div class="chart-empty">جاري التحميل...</div>';
+
+    try {
+        const data = await api.get(`/api/analytics/bank-summary?${buildFilterQuery()}`);
+        if (data.error) throw new Error(data.error);
+
+        document.getElementById('bankSummaryTotal').textContent = formatCurrency(data.total);
+        document.getElementById('bankSummaryCount').textContent = data.count;
+
+        renderDonutChart(chart, data.byOperationType.map((g, i) => ({
+            name: g.name || UNSPECIFIED,
+            color: CHART_PALETTE[i % CHART_PALETTE.length],
+            value: g.total
+        })));
+        renderBarChart(document.getElementById('chartBanks'),
+            data.byBank.map(g => ({ label: g.name || UNSPECIFIED, value: g.total })),
+            { color: CHART_COLORS.bank });
+
+        bankSummaryRows('bankTotalsTable', data.byBank, data.total);
+        bankSummaryRows('operationTotalsTable', data.byOperationType, data.total);
+
+        document.getElementById('bankMatrixTable').innerHTML = data.rows.length === 0
+            ? '<tr><td colspan="4" style="text-align: center;">لا توجد بيانات</td></tr>'
+            : data.rows.map(row => `
+                <tr>
+                    <td>${escapeHtml(row.bank_name || UNSPECIFIED)}</td>
+                    <td>${escapeHtml(row.operation_type || UNSPECIFIED)}</td>
+                    <td>${row.count}</td>
+                    <td style="direction: ltr; text-align: right;">${formatCurrency(row.total)}</td>
+                </tr>
+            `).join('');
+    } catch (err) {
+        console.error(err);
+        chart.innerHTML = '<div class="chart-empty">حدث خطأ في تحميل البيانات</div>';
+    }
+}
+
+viewLoaders.bankSummary = loadBankSummary;
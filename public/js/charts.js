@@ -0,0 +1,168 @@
+// Small SVG chart helpers (no external library, works offline)
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const CHART_COLORS = {
+    sales: '#3b82f6',
+    receipts: '#22c55e',
+    surplus: '#22c55e',
+    deficit: '#ef4444',
+    cash: '#f59e0b',
+    bank: '#8b5cf6'
+};
+
+// Colors for charts with any number of categories
+const CHART_PALETTE = ['#3b82f6', '#22c55e', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#64748b'];
+
+function compactNumber(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e6) return (value / 1e6).toFixed(1).replace(/\.0$/, '') + 'M';
+    if (abs >= 1e3) return (value / 1e3).toFixed(1).replace(/\.0$/, '') + 'K';
+    return String(Math.round(value * 100) / 100);
+}
+
+function svgEl(tag, attrs = {}, title) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (title) {
+        const t = document.createElementNS(SVG_NS, 'title');
+        t.textContent = title;
+        el.appendChild(t);
+    }
+    return el;
+}
+
+function chartEmpty(container) {
+    container.innerHTML = '<div class="chart-empty">لا توجد بيانات للفترة المحددة</div>';
+}
+
+function chartLegend(items) {
+    return `<div class="chart-legend">${items.map(item =>
+        `<span><i style="background: ${item.color};"></i>${escapeHtml(item.name)}</span>`).join('')}</div>`;
+}
+
+// Rounded bounds and tick values for an axis covering [min, max]
+function niceTicks(min, max, count = 4) {
+    if (min === max) max = min + 1;
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let v = Math.floor(min / step) * step; v <= max + step / 2; v += step) ticks.push(v);
+    if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+    return ticks;
+}
+
+// Lines over time: { labels: [...], series: [{ name, color, values: [...] }] }
+// Pass bars: true to draw columns instead (coloured by sign when color is omitted)
+function renderLineChart(container, { labels, series, bars = false }) {
+    if (!labels.length) return chartEmpty(container);
+
+    const width = 800;
+    const height = 260;
+    const pad = { top: 16, right: 16, bottom: 32, left: 56 };
+    const innerW = width - pad.left - pad.right;
+    const innerH = height - pad.top - pad.bottom;
+
+    const all = series.flatMap(s => s.values);
+    const ticks = niceTicks(Math.min(0, ...all), Math.max(0, ...all));
+    const lo = ticks[0];
+    const hi = ticks[ticks.length - 1];
+    const y = v => pad.top + innerH - ((v - lo) / (hi - lo)) * innerH;
+    const slot = innerW / labels.length;
+    const x = i => pad.left + slot * i + slot / 2;
+
+    // Charts read left to right even in the RTL layout, like the dates they show
+    const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', direction: 'ltr' });
+
+    ticks.forEach(t => {
+        svg.appendChild(svgEl('line', { x1: pad.left, x2: width - pad.right, y1: y(t), y2: y(t), class: t === 0 ? 'chart-zero' : 'chart-grid' }));
+        const label = svgEl('text', { x: pad.left - 8, y: y(t) + 4, 'text-anchor': 'end', class: 'chart-axis' });
+        label.textContent = compactNumber(t);
+        svg.appendChild(label);
+    });
+
+    const every = Math.ceil(labels.length / 8);
+    labels.forEach((l, i) => {
+        if (i % every !== 0) return;
+        const label = svgEl('text', { x: x(i), y: height - 10, 'text-anchor': 'middle', class: 'chart-axis' });
+        label.textContent = l;
+        svg.appendChild(label);
+    });
+
+    series.forEach((s, si) => {
+        if (bars) {
+            const barW = Math.max(2, (slot * 0.7) / series.length);
+            s.values.forEach((v, i) => {
+                const color = s.color || (v < 0 ? CHART_COLORS.deficit : CHART_COLORS.surplus);
+                svg.appendChild(svgEl('rect', {
+                    x: x(i) - (barW * series.length) / 2 + barW * si,
+                    y: Math.min(y(v), y(0)),
+                    width: barW,
+                    height: Math.max(1, Math.abs(y(v) - y(0))),
+                    fill: color
+                }, `${labels[i]} — ${s.name}: ${formatCurrency(v)}`));
+            });
+            return;
+        }
+
+        const points = s.values.map((v, i) => `${x(i)},${y(v)}`).join(' ');
+        svg.appendChild(svgEl('polyline', { points, fill: 'none', stroke: s.color, 'stroke-width': 2 }));
+        s.values.forEach((v, i) => {
+            svg.appendChild(svgEl('circle', { cx: x(i), cy: y(v), r: 3.5, fill: s.color },
+                `${labels[i]} — ${s.name}: ${formatCurrency(v)}`));
+        });
+    });
+
+    container.innerHTML = chartLegend(series.filter(s => s.color));
+    container.appendChild(svg);
+}
+
+// Horizontal bars for a ranking: items = [{ label, value }]
+function renderBarChart(container, items, { color = CHART_COLORS.receipts, limit = 10 } = {}) {
+    if (!items.length) return chartEmpty(container);
+
+    const shown = items.slice(0, limit);
+    const max = Math.max(...shown.map(item => Math.abs(item.value)), 1);
+
+    container.innerHTML = `<div class="hbars">${shown.map(item => `
+        <div class="hbar" title="${escapeHtml(item.label)}: ${formatCurrency(item.value)}">
+            <span class="hbar-label">${escapeHtml(item.label)}</span>
+            <span class="hbar-track"><span style="width: ${(Math.abs(item.value) / max) * 100}%; background: ${color};"></span></span>
+            <span class="hbar-value">${compactNumber(item.value)}</span>
+        </div>`).join('')}</div>`;
+}
+
+// Share of a whole: slices = [{ name, color, value }]
+function renderDonutChart(container, slices) {
+    const total = slices.reduce((sum, s) => sum + Math.max(0, s.value), 0);
+    if (!total) return chartEmpty(container);
+
+    const r = 70;
+    const circumference = 2 * Math.PI * r;
+    const svg = svgEl('svg', { viewBox: '0 0 200 200', class: 'chart-svg chart-donut' });
+    let offset = 0;
+
+    slices.forEach(s => {
+        const length = (Math.max(0, s.value) / total) * circumference;
+        svg.appendChild(svgEl('circle', {
+            cx: 100, cy: 100, r,
+            fill: 'none',
+            stroke: s.color,
+            'stroke-width': 28,
+            'stroke-dasharray': `${length} ${circumference - length}`,
+            'stroke-dashoffset': -offset,
+            transform: 'rotate(-90 100 100)'
+        }, `${s.name}: ${formatCurrency(s.value)} (${Math.round((s.value / total) * 100)}%)`));
+        offset += length;
+    });
+
+    const label = svgEl('text', { x: 100, y: 106, 'text-anchor': 'middle', class: 'chart-donut-total' });
+    label.textContent = compactNumber(total);
+    svg.appendChild(label);
+
+    container.innerHTML = chartLegend(slices.map(s => ({
+        name: `${s.name} ${Math.round((s.value / total) * 100)}%`,
+        color: s.color
+    })));
+    container.appendChild(svg);
+}
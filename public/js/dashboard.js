@@ -6,14 +6,28 @@ if (!token) {
     window.location.href = '/login';
 }
 
-document.getElementById('userName').textContent = user.name || 'Admin';
+document.getElementById('userName').textContent = user.tenant ? `${user.name || 'Admin'} - ${user.tenant}` : (user.name || 'Admin');
 
-function logout() {
+function clearSession() {
+    clearOfflineData();
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     window.location.href = '/login';
 }
 
+async function logout() {
+    // Revoke the token on the server, then leave regardless of the result
+    try {
+        await fetch('/api/logout', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+    } catch (err) {
+        console.warn('Logout request failed:', err);
+    }
+    clearSession();
+}
+
 const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'SAR' }).format(amount);
 };
@@ -22,15 +36,82 @@ const formatDate = (dateStr) => {
     return new Date(dateStr).toLocaleDateString('en-GB');
 };
 
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+const request = async (method, url, body) => {
+    const res = await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    if (res.status === 401) clearSession();
+    trackConnection(res);
+    return res.json();
+};
+
 const api = {
-    get: async (url) => {
-        const res = await fetch(url, {
-            headers: { 'Authorization': `Bearer ${token}` }
+    get: (url) => request('GET', url),
+    post: (url, body) => request('POST', url, body ?? {}),
+    put: (url, body) => request('PUT', url, body ?? {}),
+    del: (url) => request('DELETE', url)
+};
+
+// Current user and effective permissions (see ROLES in server.js)
+let currentUser = null;
+
+async function loadCurrentUser() {
+    try {
+        currentUser = await api.get('/api/me');
+        const canManage = currentUser.permissions && currentUser.permissions.canManage;
+        document.querySelectorAll('.admin-only').forEach(el => {
+            el.style.display = canManage ? '' : 'none';
+        });
+        document.querySelectorAll('[data-roles]').forEach(el => {
+            el.style.display = el.dataset.roles.split(',').includes(currentUser.role) ? '' : 'none';
         });
-        if (res.status === 401) logout();
-        return res.json();
+
+        if (currentUser.mustChangePassword) openPasswordDialog(true);
+
+        // Auditors see amounts without having to unhide each card
+        if (currentUser.permissions && currentUser.permissions.revealAmounts) {
+            ['totalReceipts', 'totalSales', 'totalCash', 'netSurplusDeficit'].forEach(id => {
+                const el = document.getElementById(id);
+                const btn = document.querySelector(`[onclick="toggleStat('${id}', this)"]`);
+                if (el.classList.contains('blur-text') && btn) toggleStat(id, btn);
+            });
+        }
+    } catch (err) {
+        console.error('Failed to load current user:', err);
+    }
+}
+
+// Views: each screen registers a loader that runs when its tab is opened
+const viewLoaders = {
+    reports: () => {
+        loadReports();
+        loadStats();
     }
 };
+// Screens that share the filters card
+const FILTERED_VIEWS = ['reports', 'analytics', 'scorecard', 'bankSummary'];
+let currentView = 'reports';
+
+function showView(name) {
+    currentView = name;
+    document.getElementById('filtersCard').style.display = FILTERED_VIEWS.includes(name) ? '' : 'none';
+    document.querySelectorAll('.view').forEach(view => {
+        view.style.display = view.id === `view-${name}` ? '' : 'none';
+    });
+    document.querySelectorAll('#viewTabs .tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === name);
+    });
+    if (viewLoaders[name]) viewLoaders[name]();
+}
 
 // Initialize OneSignal
 // Initialize OneSignal
@@ -48,9 +129,16 @@ async function initOneSignal() {
                     await OneSignal.init({
                         appId: config.oneSignalAppId,
                         allowLocalhostAsSecureOrigin: true,
+                        // Shares the offline worker's registration (sw.js imports the OneSignal worker)
+                        serviceWorkerPath: 'sw.js',
+                        serviceWorkerParam: { scope: '/' },
                         notifyButton: { enable: true }
                     });
 
+                    // Alert rules target admins by this id (see sendNotification)
+                    await currentUserReady;
+                    if (currentUser && currentUser.id) await OneSignal.login(`admin-${currentUser.id}`);
+
                     if (Notification.permission === 'default') {
                         OneSignal.Slidedown.promptPush();
                     }
@@ -66,12 +154,11 @@ async function initOneSignal() {
 
 const filters = {
     apply: () => {
-        loadReports();
-        loadStats();
+        reportsState.page = 1;
+        viewLoaders[currentView]();
     },
     refresh: () => {
-        loadReports();
-        loadStats();
+        viewLoaders[currentView]();
         // Optional: Show feedback
         const btn = document.getElementById('refreshBtn');
         if (btn) {
@@ -109,33 +196,171 @@ async function loadMetadata() {
     }
 }
 
-async function loadStats() {
-    const dateFrom = document.getElementById('filterDateFrom').value;
-    const dateTo = document.getElementById('filterDateTo').value;
-    const status = document.getElementById('filterStatus').value;
-    const branchId = document.getElementById('filterBranch').value;
-    const cashierId = document.getElementById('filterCashier').value;
+// Query string for the current filter values (shared by stats, reports and exports)
+function buildFilterQuery() {
+    const fields = {
+        dateFrom: 'filterDateFrom',
+        dateTo: 'filterDateTo',
+        status: 'filterStatus',
+        branchId: 'filterBranch',
+        cashierId: 'filterCashier',
+        search: 'filterSearch'
+    };
+    const params = new URLSearchParams();
+    Object.entries(fields).forEach(([key, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) params.set(key, value);
+    });
+    params.set('sort', reportsState.sort);
+    params.set('dir', reportsState.dir);
+    return params;
+}
+
+// --- Period comparison ---
+// The date filters are the base period; the comparison period is derived from them or entered
+const COMPARE_MODE_LABELS = {
+    previous: 'الفترة السابقة',
+    month: 'الشهر السابق',
+    year: 'نفس الفترة من العام السابق',
+    custom: 'الفترة المخصصة'
+};
+
+const shiftDays = (date, days) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+};
 
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same day some months earlier/later; month ends stay month ends (31 Mar -> 28 Feb, 28 Feb -> 31 Jan)
+const shiftMonths = (date, months) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const last = lastDayOfMonth(target.getUTCFullYear(), target.getUTCMonth());
+    target.setUTCDate(day === lastDayOfMonth(year, month - 1) ? last : Math.min(day, last));
+    return target.toISOString().slice(0, 10);
+};
+
+// { from, to } of the comparison period, null when not comparing or the dates are incomplete
+function comparisonPeriod() {
+    const mode = document.getElementById('compareMode').value;
+    if (mode === 'custom') {
+        const from = document.getElementById('compareFrom').value;
+        const to = document.getElementById('compareTo').value;
+        return from && to ? { from, to } : null;
+    }
+
+    const from = document.getElementById('filterDateFrom').value;
+    const to = document.getElementById('filterDateTo').value;
+    if (!mode || !from || !to) return null;
+    if (mode === 'previous') {
+        const days = Math.round((new Date(to) - new Date(from)) / 86400000) + 1;
+        return { from: shiftDays(from, -days), to: shiftDays(from, -1) };
+    }
+    const months = mode === 'year' ? -12 : -1;
+    return { from: shiftMonths(from, months), to: shiftMonths(to, months) };
+}
+
+function onCompareModeChange() {
+    const custom = document.getElementById('compareMode').value === 'custom';
+    document.querySelectorAll('.compare-custom').forEach(el => { el.style.display = custom ? '' : 'none'; });
+    loadStats();
+}
+
+function renderComparisonSummary(period) {
+    const mode = document.getElementById('compareMode').value;
+    const summary = document.getElementById('compareSummary');
+    if (!mode) {
+        summary.textContent = '';
+    } else if (!period) {
+        summary.textContent = mode === 'custom' ? 'حدد تاريخي فترة المقارنة' : 'حدد تاريخي الفترة (من / إلى) في الفلاتر للمقارنة';
+    } else {
+        const from = document.getElementById('filterDateFrom').value || '...';
+        const to = document.getElementById('filterDateTo').value || '...';
+        summary.textContent = `${from} - ${to} مقارنة مع ${COMPARE_MODE_LABELS[mode]}: ${period.from} - ${period.to}`;
+    }
+}
+
+// "▲ 12.5%" for a delta from /api/stats; withAmount adds the change itself
+function formatDelta(delta, withAmount = false) {
+    if (!delta) return '';
+    if (delta.absolute === 0) return '<span>= 0%</span>';
+    const up = delta.absolute > 0;
+    const parts = [up ? '▲' : '▼'];
+    if (delta.percent !== null) parts.push(`${Math.abs(delta.percent)}%`);
+    if (withAmount) parts.push(`(${up ? '+' : '-'}${formatCurrency(Math.abs(delta.absolute))})`);
+    return `<span class="${up ? 'delta-up' : 'delta-down'}">${parts.join(' ')}</span>`;
+}
+
+async function loadStats() {
     try {
-        let url = '/api/stats?q=1';
-        if (dateFrom) url += `&dateFrom=${dateFrom}`;
-        if (dateTo) url += `&dateTo=${dateTo}`;
-        if (status) url += `&status=${status}`;
-        if (branchId) url += `&branchId=${branchId}`;
-        if (cashierId) url += `&cashierId=${cashierId}`;
-
-        const stats = await api.get(url);
+        const query = buildFilterQuery();
+        const period = comparisonPeriod();
+        if (period) {
+            query.set('compareFrom', period.from);
+            query.set('compareTo', period.to);
+        }
+        renderComparisonSummary(period);
+
+        const stats = await api.get(`/api/stats?${query}`);
+        if (stats.error) throw new Error(stats.error);
         document.getElementById('totalReconciliations').textContent = stats.totalReconciliations;
 
         updateStat('totalReceipts', stats.totalReceipts);
         updateStat('totalSales', stats.totalSales);
         updateStat('totalCash', stats.totalCash);
+        updateStat('netSurplusDeficit', stats.netSurplusDeficit);
+
+        // Percentages only: the amounts of hidden cards stay hidden
+        const deltas = stats.comparison ? stats.comparison.deltas : {};
+        ['totalReconciliations', 'totalReceipts', 'totalSales', 'totalCash', 'netSurplusDeficit'].forEach(key => {
+            document.getElementById(`${key}Delta`).innerHTML = formatDelta(deltas[key]);
+        });
 
+        if (period) {
+            loadBranchComparison(query);
+        } else {
+            document.getElementById('branchComparisonCard').style.display = 'none';
+        }
     } catch (err) {
         console.error(err);
     }
 }
 
+async function loadBranchComparison(query) {
+    const card = document.getElementById('branchComparisonCard');
+    const tbody = document.getElementById('branchComparisonTable');
+    try {
+        const data = await api.get(`/api/stats/branches?${query}`);
+        if (data.error) throw new Error(data.error);
+        card.style.display = '';
+
+        if (data.branches.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">لا توجد بيانات في الفترتين</td></tr>';
+            return;
+        }
+        const cell = (row, key, money = true) => `
+            <div>${money ? formatCurrency(row[key]) : row[key]}</div>
+            <div class="stat-delta">${formatDelta(row.deltas[key], money)}</div>
+            <div class="stat-delta">المقارنة: ${money ? formatCurrency(row.comparison[key]) : row.comparison[key]}</div>`;
+
+        tbody.innerHTML = data.branches.map(row => `
+            <tr>
+                <td>${escapeHtml(row.name || UNSPECIFIED)}</td>
+                <td>${cell(row, 'count', false)}</td>
+                <td>${cell(row, 'sales')}</td>
+                <td class="hide-mobile">${cell(row, 'receipts')}</td>
+                <td class="hide-mobile">${cell(row, 'cash')}</td>
+                <td>${cell(row, 'surplus_deficit')}</td>
+            </tr>
+        `).join('');
+    } catch (err) {
+        console.error(err);
+        card.style.display = 'none';
+    }
+}
+
 function updateStat(id, rawValue) {
     const el = document.getElementById(id);
     const formatted = formatCurrency(rawValue);
@@ -170,26 +395,63 @@ function toggleStat(id, btn) {
     }
 }
 
-async function loadReports() {
-    const dateFrom = document.getElementById('filterDateFrom').value;
-    const dateTo = document.getElementById('filterDateTo').value;
-    const status = document.getElementById('filterStatus').value;
-    const branchId = document.getElementById('filterBranch').value;
-    const cashierId = document.getElementById('filterCashier').value;
+// Paging and sorting of the reports table (server-side)
+const reportsState = { page: 1, pageSize: 50, sort: 'number', dir: 'desc', total: 0 };
 
+function sortReports(column) {
+    if (reportsState.sort === column) {
+        reportsState.dir = reportsState.dir === 'desc' ? 'asc' : 'desc';
+    } else {
+        reportsState.sort = column;
+        reportsState.dir = 'desc';
+    }
+    reportsState.page = 1;
+    loadReports();
+}
+
+function goToReportsPage(page) {
+    const lastPage = Math.max(Math.ceil(reportsState.total / reportsState.pageSize), 1);
+    reportsState.page = Math.min(Math.max(page, 1), lastPage);
+    loadReports();
+}
+
+function setReportsPageSize(size) {
+    reportsState.pageSize = Number(size);
+    reportsState.page = 1;
+    loadReports();
+}
+
+function renderReportsPager() {
+    const { page, pageSize, total } = reportsState;
+    const lastPage = Math.max(Math.ceil(total / pageSize), 1);
+
+    document.getElementById('reportsPageInfo').textContent = `صفحة ${page} من ${lastPage} (${total} تصفية)`;
+    document.getElementById('reportsPrev').disabled = page <= 1;
+    document.getElementById('reportsNext').disabled = page >= lastPage;
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        const indicator = th.dataset.sort === reportsState.sort ? (reportsState.dir === 'desc' ? ' ▼' : ' ▲') : '';
+        th.textContent = th.dataset.label + indicator;
+    });
+}
+
+// quiet: keep the current rows until the new ones arrive; live: { created, changed } ids to highlight
+async function loadReports({ quiet = false, live = null } = {}) {
     const tbody = document.getElementById('reportsTable');
 
-    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">جاري التحميل...</td></tr>';
+    if (!quiet) {
+        tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">جاري التحميل...</td></tr>';
+    }
 
     try {
-        let url = '/api/reports?q=1';
-        if (dateFrom) url += `&dateFrom=${dateFrom}`;
-        if (dateTo) url += `&dateTo=${dateTo}`;
-        if (status) url += `&status=${status}`;
-        if (branchId) url += `&branchId=${branchId}`;
-        if (cashierId) url += `&cashierId=${cashierId}`;
+        const params = buildFilterQuery();
+        params.set('page', reportsState.page);
+        params.set('pageSize', reportsState.pageSize);
 
-        const reports = await api.get(url);
+        const result = await api.get(`/api/reports?${params}`);
+        const reports = result.rows || [];
+        reportsState.total = result.total || 0;
+        renderReportsPager();
 
         tbody.innerHTML = '';
 
@@ -202,9 +464,14 @@ async function loadReports() {
             const tr = document.createElement('tr');
             const surplusDeficitClass = r.surplus_deficit >= 0 ? 'var(--success)' : 'var(--danger)';
             const surplusDeficitText = formatCurrency(r.surplus_deficit);
+            const liveBadge = !live ? ''
+                : live.created.includes(r.id) ? ' <span class="badge badge-success">جديد</span>'
+                : live.changed.includes(r.id) ? ' <span class="badge badge-warning">محدث</span>'
+                : '';
+            if (liveBadge) tr.classList.add('row-live');
 
             tr.innerHTML = `
-                <td>${r.reconciliation_number ? '#' + r.reconciliation_number : '-'}</td>
+                <td>${r.reconciliation_number ? '#' + r.reconciliation_number : '-'}${liveBadge}</td>
                 <td>${formatDate(r.reconciliation_date)}</td>
                 <td>${r.cashier_name || '-'}</td>
                 <td class="hide-mobile">${r.accountant_name || '-'}</td>
@@ -225,9 +492,69 @@ async function loadReports() {
     }
 }
 
+// Download an authenticated file (a plain link can't send the Authorization header)
+async function downloadFile(url, fallbackName, btn) {
+    const originalText = btn ? btn.textContent : '';
+    if (btn) {
+        btn.disabled = true;
+        btn.textContent = '...';
+    }
+
+    try {
+        const res = await fetch(url, { headers: { 'Authorization': `Bearer ${token}` } });
+        if (res.status === 401) return clearSession();
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        const disposition = res.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const blob = await res.blob();
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = match ? match[1] : fallbackName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (err) {
+        console.error(err);
+        alert('تعذر تصدير الملف');
+    } finally {
+        if (btn) {
+            btn.disabled = false;
+            btn.textContent = originalText;
+        }
+    }
+}
+
+function exportReports(format, btn) {
+    const params = buildFilterQuery();
+    params.set('format', format);
+    downloadFile(`/api/reports/export?${params}`, `reconciliations.${format}`, btn);
+}
+
+let currentDetailsId = null;
+
+function exportDetailsPdf(btn) {
+    if (currentDetailsId) {
+        downloadFile(`/api/reports/${currentDetailsId}/export`, `reconciliation-${currentDetailsId}.pdf`, btn);
+    }
+}
+
+function showDetailsTab(name) {
+    document.getElementById('modalContent').style.display = name === 'details' ? '' : 'none';
+    document.getElementById('modalHistory').style.display = name === 'history' ? '' : 'none';
+    document.querySelectorAll('#detailsTabs .tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+    if (name === 'history') loadReconciliationHistory(currentDetailsId);
+}
+
 async function viewDetails(id) {
+    currentDetailsId = id;
     const modal = document.getElementById('detailsModal');
     const content = document.getElementById('modalContent');
+    showDetailsTab('details');
 
     modal.style.display = 'flex';
     content.innerHTML = 'جاري التحميل...';
@@ -238,11 +565,34 @@ async function viewDetails(id) {
         let cashHtml = '';
         let totalCash = 0;
         if (data.cashReceipts && data.cashReceipts.length > 0) {
-            data.cashReceipts.forEach(c => {
-                totalCash += Number(c.amount);
+            // Denomination rows as a count table (largest first), other cash entries below it
+            const counted = data.cashReceipts.filter(c => c.denomination != null)
+                .sort((a, b) => Number(b.denomination) - Number(a.denomination));
+            const others = data.cashReceipts.filter(c => c.denomination == null);
+
+            if (counted.length > 0) {
+                cashHtml += `
+                    <table class="count-table">
+                        <thead>
+                            <tr><th>الفئة</th><th>العدد</th><th>المجموع</th></tr>
+                        </thead>
+                        <tbody>
+                            ${counted.map(c => `
+                                <tr>
+                                    <td>${Number(c.denomination)}</td>
+                                    <td>${c.quantity ?? '-'}</td>
+                                    <td>${formatCurrency(c.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }
+            data.cashReceipts.forEach(c => { totalCash += Number(c.amount); });
+            others.forEach(c => {
                 cashHtml += `
                     <div style="display: flex; justify-content: space-between; padding: 0.5rem; border-bottom: 1px solid var(--border);">
-                        <span>${c.notes || 'نقدية'}</span>
+                        <span>${escapeHtml(c.notes || 'نقدية')}</span>
                         <span>${formatCurrency(c.amount)}</span>
                     </div>
                 `;
@@ -259,9 +609,16 @@ async function viewDetails(id) {
         let bankHtml = '';
         if (data.bankReceipts && data.bankReceipts.length > 0) {
             data.bankReceipts.forEach(b => {
+                const details = [
+                    b.terminal_id && `جهاز ${b.terminal_id}`,
+                    b.reference_number && `مرجع ${b.reference_number}`
+                ].filter(Boolean).join(' · ');
                 bankHtml += `
                     <div style="display: flex; justify-content: space-between; padding: 0.5rem; border-bottom: 1px solid var(--border);">
-                        <span>${b.bank_name || 'عملية بنكية'}</span>
+                        <span>
+                            ${escapeHtml([b.bank_name, b.operation_type].filter(Boolean).join(' - ') || 'عملية بنكية')}
+                            ${details ? `<br><small style="color: var(--text-secondary);">${escapeHtml(details)}</small>` : ''}
+                        </span>
                         <span>${formatCurrency(b.amount)}</span>
                     </div>
                 `;
@@ -280,11 +637,11 @@ async function viewDetails(id) {
                 </div>
                 <div>
                     <label>الكاشير</label>
-                    <div style="font-weight: bold;">${data.cashier_name}</div>
+                    <div style="font-weight: bold;">${escapeHtml(data.cashier_name || '-')}</div>
                 </div>
                 <div>
                     <label>المحاسب</label>
-                    <div style="font-weight: bold;">${data.accountant_name}</div>
+                    <div style="font-weight: bold;">${escapeHtml(data.accountant_name || '-')}</div>
                 </div>
             </div>
 
@@ -327,8 +684,52 @@ function closeModal() {
     document.getElementById('detailsModal').style.display = 'none';
 }
 
+// Own password; forced (no way to close it) while the server requires a change
+function openPasswordDialog(forced = false) {
+    ['currentPassword', 'newPassword', 'confirmPassword'].forEach(id => { document.getElementById(id).value = ''; });
+    document.getElementById('passwordModalNotice').style.display = forced ? '' : 'none';
+    document.getElementById('passwordModalClose').style.display = forced ? 'none' : '';
+    document.getElementById('passwordModal').style.display = 'block';
+}
+
+function closePasswordDialog() {
+    document.getElementById('passwordModal').style.display = 'none';
+}
+
+async function savePassword(btn) {
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    if (newPassword.length < 8) {
+        alert('كلمة المرور الجديدة يجب أن تكون 8 أحرف على الأقل');
+        return;
+    }
+    if (newPassword !== document.getElementById('confirmPassword').value) {
+        alert('كلمتا المرور غير متطابقتين');
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const result = await api.post('/api/me/password', { currentPassword, newPassword });
+        if (result.success) {
+            alert('تم تغيير كلمة المرور');
+            // After a forced change the screens load for the first time
+            if (currentUser && currentUser.mustChangePassword) return window.location.reload();
+            closePasswordDialog();
+        } else {
+            alert(result.error === 'Current password is incorrect' ? 'كلمة المرور الحالية غير صحيحة' : (result.error || 'تعذر الحفظ'));
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 // Init
+const currentUserReady = loadCurrentUser();
 loadStats();
 loadMetadata();
 loadReports();
 initOneSignal(); // Notifications
+renderConnectionState();
@@ -0,0 +1,141 @@
+// Sync devices screen (admins only): one key per desktop install, rotated or revoked separately
+let syncDevices = [];
+
+function showDeviceKey(name, key) {
+    document.getElementById('deviceKeyName').textContent = name;
+    document.getElementById('deviceKeyValue').value = key;
+    document.getElementById('deviceKeyBox').style.display = 'block';
+}
+
+function copyDeviceKey() {
+    const input = document.getElementById('deviceKeyValue');
+    input.select();
+    navigator.clipboard.writeText(input.value).catch(() => document.execCommand('copy'));
+}
+
+async function loadDevices() {
+    const tbody = document.getElementById('devicesTable');
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const data = await api.get('/api/sync/devices');
+        if (data.error) throw new Error(data.error);
+
+        syncDevices = data.devices;
+        document.getElementById('requireDeviceKey').checked = data.policy.requireDeviceKey;
+
+        tbody.innerHTML = data.devices.length === 0
+            ? '<tr><td colspan="5" style="text-align: center;">لا توجد أجهزة مسجلة</td></tr>'
+            : data.devices.map(d => {
+                const [runBadge, runLabel] = SYNC_RUN_STATUS[d.last_run_status] || ['', ''];
+                return `
+                    <tr style="${d.revoked_at ? 'opacity: 0.5;' : ''}">
+                        <td>
+                            ${escapeHtml(d.name)}
+                            <br><small style="color: var(--text-secondary); direction: ltr; display: inline-block;">${escapeHtml(d.key_prefix)}…</small>
+                        </td>
+                        <td class="hide-mobile" style="white-space: nowrap;">
+                            ${d.last_seen_at ? new Date(d.last_seen_at).toLocaleString('en-GB') : 'لم يتصل بعد'}
+                            ${d.last_ip ? `<br><small style="color: var(--text-secondary);">${escapeHtml(d.last_ip)}</small>` : ''}
+                        </td>
+                        <td>
+                            ${runLabel ? `<span class="badge ${runBadge}">${runLabel}</span>` : '-'}
+                            ${d.pending_rejections ? `<br><small style="color: #facc15;">${d.pending_rejections} سجلات مرفوضة</small>` : ''}
+                        </td>
+                        <td>
+                            ${d.revoked_at
+                                ? `<span class="badge badge-danger">ملغى</span>`
+                                : `<span class="badge badge-success">فعال</span>`}
+                        </td>
+                        <td class="text-end">
+                            ${d.revoked_at ? '' : `
+                                <button onclick="rotateDevice(${d.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;">مفتاح جديد</button>
+                                <button onclick="revokeDevice(${d.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: var(--danger);">إلغاء</button>
+                            `}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function addDevice(btn) {
+    const input = document.getElementById('deviceName');
+    const name = input.value.trim();
+    if (!name) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post('/api/sync/devices', { name });
+        if (result.success) {
+            input.value = '';
+            showDeviceKey(result.device.name, result.key);
+            loadDevices();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function rotateDevice(id, btn) {
+    const { name } = syncDevices.find(d => d.id === id);
+    if (!confirm(`إنشاء مفتاح جديد لـ "${name}"؟ سيتوقف المفتاح الحالي فوراً حتى تضع الجديد في البرنامج.`)) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/sync/devices/${id}/rotate`);
+        if (result.success) {
+            showDeviceKey(name, result.key);
+            loadDevices();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+async function revokeDevice(id, btn) {
+    if (!confirm('إلغاء هذا الجهاز؟ لن يتمكن من المزامنة بعد الآن، ولا يمكن التراجع عن ذلك.')) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/sync/devices/${id}/revoke`);
+        if (result.success) {
+            loadDevices();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+async function saveDevicePolicy(checkbox) {
+    checkbox.disabled = true;
+    try {
+        const result = await api.put('/api/settings/sync-devices', { requireDeviceKey: checkbox.checked });
+        if (!result.success) {
+            alert(result.error || 'تعذر الحفظ');
+            checkbox.checked = !checkbox.checked;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        checkbox.checked = !checkbox.checked;
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+viewLoaders.devices = loadDevices;
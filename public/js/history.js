@@ -0,0 +1,146 @@
+// Change history: the "history" tab of the details modal and the sync runs screen
+const HISTORY_ENTITY_LABELS = {
+    reconciliations: 'التصفية',
+    bank_receipts: 'مقبوض بنكي',
+    cash_receipts: 'مقبوض نقدي'
+};
+
+const HISTORY_ACTION_LABELS = {
+    insert: ['badge-success', 'إضافة'],
+    update: ['badge-warning', 'تعديل'],
+    delete: ['badge-danger', 'حذف']
+};
+
+const HISTORY_FIELD_LABELS = {
+    reconciliation_number: 'الرقم',
+    cashier_id: 'الكاشير',
+    accountant_id: 'المحاسب',
+    reconciliation_date: 'التاريخ',
+    system_sales: 'مبيعات النظام',
+    total_receipts: 'إجمالي المقبوضات',
+    surplus_deficit: 'الفارق',
+    status: 'الحالة',
+    notes: 'ملاحظات',
+    reconciliation_id: 'التصفية',
+    bank_name: 'البنك',
+    operation_type: 'نوع العملية',
+    terminal_id: 'جهاز نقاط البيع',
+    reference_number: 'الرقم المرجعي',
+    denomination: 'الفئة',
+    quantity: 'العدد',
+    amount: 'المبلغ'
+};
+
+const SYNC_RUN_STATUS = {
+    success: ['badge-success', 'نجحت'],
+    partial: ['badge-warning', 'جزئية'],
+    conflict: ['badge-warning', 'تعارض'],
+    error: ['badge-danger', 'فشلت']
+};
+
+const historyValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'status') return value === 'completed' ? 'مكتملة' : value === 'draft' ? 'مسودة' : value;
+    return String(value);
+};
+
+async function loadReconciliationHistory(id) {
+    const container = document.getElementById('modalHistory');
+    container.innerHTML = 'جاري التحميل...';
+
+    try {
+        const entries = await api.get(`/api/reports/${id}/history`);
+        if (!Array.isArray(entries)) throw new Error(entries.error);
+        if (entries.length === 0) {
+            container.innerHTML = '<div style="padding: 1rem; text-align: center; color: var(--text-secondary);">لا يوجد سجل تغييرات لهذه التصفية</div>';
+            return;
+        }
+
+        // Newest push first, each push listing the rows it changed
+        const pushes = new Map();
+        entries.forEach(entry => {
+            const key = entry.sync_version ?? `h${entry.id}`;
+            if (!pushes.has(key)) pushes.set(key, []);
+            pushes.get(key).push(entry);
+        });
+
+        container.innerHTML = [...pushes.values()].reverse().map(group => {
+            const first = group[0];
+            const source = [first.device_name, first.source, first.ip].filter(Boolean).join(' · ');
+            const rows = group.map(entry => {
+                const [badge, label] = HISTORY_ACTION_LABELS[entry.action] || ['', entry.action];
+                const fields = Object.entries(entry.changes).map(([field, [from, to]]) => `
+                    <div class="history-field">
+                        <span>${escapeHtml(HISTORY_FIELD_LABELS[field] || field)}</span>
+                        ${entry.action === 'update' ? `<del>${escapeHtml(historyValue(field, from))}</del> ←` : ''}
+                        <strong>${escapeHtml(historyValue(field, entry.action === 'delete' ? from : to))}</strong>
+                    </div>
+                `).join('');
+                return `
+                    <div class="history-row">
+                        <span class="badge ${badge}">${label}</span>
+                        ${escapeHtml(HISTORY_ENTITY_LABELS[entry.entity] || entry.entity)}
+                        ${entry.entity !== 'reconciliations' ? `<small style="color: var(--text-secondary);">#${entry.entity_id}</small>` : ''}
+                        ${fields}
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="history-push">
+                    <div class="history-push-header">
+                        <span>${new Date(first.changed_at).toLocaleString('en-GB')}</span>
+                        <small>${first.sync_version != null ? `مزامنة #${first.sync_version}` : ''} ${escapeHtml(source)}</small>
+                    </div>
+                    ${rows}
+                </div>
+            `;
+        }).join('');
+    } catch (err) {
+        console.error(err);
+        container.innerHTML = 'حدث خطأ في جلب السجل';
+    }
+}
+
+async function loadSyncRuns() {
+    const tbody = document.getElementById('syncRunsTable');
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const runs = await api.get('/api/sync/runs');
+        if (!Array.isArray(runs)) throw new Error(runs.error);
+
+        const counts = (obj) => Object.entries(obj || {})
+            .map(([key, count]) => `${key}: ${count}`).join('، ');
+
+        tbody.innerHTML = runs.length === 0
+            ? '<tr><td colspan="5" style="text-align: center;">لا توجد عمليات مزامنة</td></tr>'
+            : runs.map(run => {
+                const [badge, label] = SYNC_RUN_STATUS[run.status] || ['', run.status];
+                const applied = counts(run.applied);
+                const deleted = counts(run.deleted);
+                return `
+                    <tr>
+                        <td style="white-space: nowrap;">${new Date(run.started_at).toLocaleString('en-GB')}</td>
+                        <td>
+                            <span class="badge ${badge}">${label}</span>
+                            ${run.cursor ? `<small style="color: var(--text-secondary);">#${run.cursor}</small>` : ''}
+                            ${run.error ? `<div style="color: var(--danger); font-size: 0.8rem;">${escapeHtml(run.error)}</div>` : ''}
+                        </td>
+                        <td class="hide-mobile">${escapeHtml([run.device_name, run.source, run.ip].filter(Boolean).join(' · ') || '-')}</td>
+                        <td style="font-size: 0.85rem;">
+                            ${escapeHtml(applied || '-')}
+                            ${deleted ? `<div style="color: var(--danger);">حذف: ${escapeHtml(deleted)}</div>` : ''}
+                            ${run.rejected ? `<div style="color: #facc15;">مرفوض: ${run.rejected}</div>` : ''}
+                        </td>
+                        <td class="hide-mobile">${run.duration_ms != null ? `${run.duration_ms} ms` : '-'}</td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+viewLoaders.syncRuns = loadSyncRuns;
@@ -0,0 +1,142 @@
+// Data integrity screen (admins and auditors): orphaned records and totals that do not add up,
+// as found by the checks that run after each sync
+const INTEGRITY_KINDS = {
+    unknown_cashier: 'تصفية لكاشير غير موجود',
+    unknown_accountant: 'تصفية لمحاسب غير موجود',
+    unknown_branch: 'كاشير لفرع غير موجود',
+    orphan_receipt: 'مقبوض بدون تصفية',
+    receipts_mismatch: 'إجمالي المقبوضات لا يساوي النقدي + البنكي',
+    surplus_mismatch: 'العجز/الفائض لا يساوي المقبوضات - المبيعات',
+    duplicate_number: 'رقم تصفية مكرر'
+};
+
+const INTEGRITY_ENTITIES = {
+    reconciliation: 'تصفية',
+    cashier: 'كاشير',
+    bank_receipt: 'مقبوض بنكي',
+    cash_receipt: 'مقبوض نقدي',
+    reconciliation_number: 'رقم تصفية'
+};
+
+const INTEGRITY_TRIGGERS = {
+    sync: 'بعد المزامنة',
+    manual: 'يدوياً',
+    reset: 'بعد حذف البيانات',
+    restore: 'بعد الاستعادة'
+};
+
+// What was found, in the words of the screen
+function describeIntegrityIssue(issue) {
+    const d = issue.details;
+    switch (issue.kind) {
+        case 'unknown_cashier':
+            return `التصفية #${d.reconciliation_number} مرتبطة بالكاشير رقم ${d.cashier_id ?? '-'} غير الموجود`;
+        case 'unknown_accountant':
+            return `التصفية #${d.reconciliation_number} مرتبطة بالمحاسب رقم ${d.accountant_id} غير الموجود`;
+        case 'unknown_branch':
+            return `الكاشير ${escapeHtml(d.name || '')} مرتبط بالفرع رقم ${d.branch_id} غير الموجود`;
+        case 'orphan_receipt':
+            return `مقبوض بمبلغ ${formatCurrency(d.amount || 0)} مرتبط بالتصفية رقم ${d.reconciliation_id} غير الموجودة`;
+        case 'receipts_mismatch':
+            return `التصفية #${d.reconciliation_number}: الإجمالي ${formatCurrency(d.total_receipts || 0)}، النقدي ${formatCurrency(d.cash)}، البنكي ${formatCurrency(d.bank)} (الفرق ${formatCurrency(d.difference)})`;
+        case 'surplus_mismatch':
+            return `التصفية #${d.reconciliation_number}: العجز/الفائض ${formatCurrency(d.surplus_deficit || 0)} والمتوقع ${formatCurrency(d.expected)}`;
+        case 'duplicate_number':
+            return `الرقم #${d.reconciliation_number} مستخدم في ${d.ids.length} تصفيات`;
+        default:
+            return escapeHtml(JSON.stringify(d));
+    }
+}
+
+async function loadIntegrity() {
+    const tbody = document.getElementById('integrityTable');
+    const summary = document.getElementById('integritySummary');
+    const status = document.getElementById('integrityStatus').value;
+    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const data = await api.get(`/api/integrity?status=${status}`);
+        if (data.error) throw new Error(data.error);
+
+        const run = data.lastRun;
+        const counts = Object.entries(data.counts)
+            .map(([kind, count]) => `<span class="badge badge-warning">${escapeHtml(INTEGRITY_KINDS[kind] || kind)}: ${count}</span>`)
+            .join(' ');
+        summary.innerHTML = `
+            <div style="color: var(--text-secondary); margin-bottom: 0.5rem;">
+                ${run
+                    ? `آخر فحص: ${new Date(run.finished_at).toLocaleString('en-GB')} (${INTEGRITY_TRIGGERS[run.trigger] || escapeHtml(run.trigger)})
+                       - ${run.open_issues} مفتوحة، ${run.new_issues} جديدة، ${run.resolved_issues} تم حلها`
+                    : 'لم يتم الفحص بعد'}
+            </div>
+            <div>${counts || '<span class="badge badge-success">لا توجد مشاكل مفتوحة</span>'}</div>
+        `;
+
+        tbody.innerHTML = data.issues.length === 0
+            ? '<tr><td colspan="4" style="text-align: center;">لا توجد سجلات</td></tr>'
+            : data.issues.map(issue => {
+                const ids = issue.kind === 'duplicate_number' ? issue.details.ids : (issue.reconciliation_id ? [issue.reconciliation_id] : []);
+                const links = ids.map(id => `<button onclick="viewDetails(${id})" class="btn" style="width: auto; padding: 0.25rem 0.5rem; font-size: 0.8rem;">عرض #${id}</button>`).join(' ');
+                return `
+                    <tr>
+                        <td style="white-space: nowrap;">
+                            ${new Date(issue.last_seen_at).toLocaleString('en-GB')}
+                            <br><small style="color: var(--text-secondary);">منذ ${new Date(issue.first_seen_at).toLocaleDateString('en-GB')}</small>
+                        </td>
+                        <td>
+                            ${escapeHtml(INTEGRITY_KINDS[issue.kind] || issue.kind)}
+                            <br><small style="color: var(--text-secondary);">${escapeHtml(INTEGRITY_ENTITIES[issue.entity] || issue.entity)} #${issue.entity_id}</small>
+                        </td>
+                        <td>
+                            ${describeIntegrityIssue(issue)}
+                            ${issue.reconciliation_date ? `<br><small style="color: var(--text-secondary);">${formatDate(issue.reconciliation_date)}</small>` : ''}
+                        </td>
+                        <td class="text-end" style="white-space: nowrap;">
+                            ${links}
+                            ${issue.status === 'open' && currentUser && currentUser.permissions.canManage
+                                ? `<button onclick="dismissIntegrityIssue(${issue.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: #4a5568;">تجاهل</button>`
+                                : `<small style="color: var(--text-secondary);">${escapeHtml(issue.reviewed_by || '')}</small>`}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function runIntegrityNow(btn) {
+    btn.disabled = true;
+    try {
+        const result = await api.post('/api/integrity/run');
+        if (result.success) {
+            loadIntegrity();
+        } else {
+            alert(result.error || 'تعذر الفحص');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    }
+    btn.disabled = false;
+}
+
+async function dismissIntegrityIssue(id, btn) {
+    if (!confirm('تجاهل هذه المشكلة؟ ستبقى مخفية ما دامت موجودة، وتظهر من جديد إذا تكررت بعد حلها.')) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/integrity/${id}/dismiss`);
+        if (result.success) {
+            loadIntegrity();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.integrity = loadIntegrity;
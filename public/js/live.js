@@ -0,0 +1,53 @@
+// Live updates: keeps GET /api/events open and, after each desktop sync, refreshes the stat cards
+// and the reports table in place, highlighting the reconciliations that changed. The stream is
+// read with fetch (EventSource cannot send the Authorization header) and reopened when it drops.
+const LIVE_RETRY_MS = [2000, 5000, 15000, 30000, 60000];
+let liveRetries = 0;
+
+// One "event:/data:" block of the stream
+function handleLiveMessage(block) {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    if (event === 'sync' && data.length > 0) onLiveSync(JSON.parse(data.join('\n')));
+}
+
+// Other screens load fresh data when opened, only the reports screen is updated in place
+function onLiveSync(change) {
+    if (currentView !== 'reports') return;
+    loadStats();
+    loadReports({ quiet: true, live: change.reload ? null : { created: change.created, changed: change.changed } });
+}
+
+async function connectLiveUpdates() {
+    try {
+        const res = await fetch('/api/events', {
+            headers: { 'Authorization': `Bearer ${token}` },
+            cache: 'no-store'
+        });
+        if (res.status === 401) return clearSession();
+        if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+
+        liveRetries = 0;
+        const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += value.replace(/\r\n/g, '\n');
+            let end;
+            while ((end = buffer.indexOf('\n\n')) >= 0) {
+                handleLiveMessage(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+            }
+        }
+    } catch (err) {
+        console.warn('Live updates disconnected:', err.message);
+    }
+    setTimeout(connectLiveUpdates, LIVE_RETRY_MS[Math.min(liveRetries++, LIVE_RETRY_MS.length - 1)]);
+}
+
+if (token) connectLiveUpdates();
@@ -0,0 +1,265 @@
+// Notification channels screen: each user picks how they receive alerts and which digests they get;
+// admins also see the delivery queue
+const CHANNEL_LABELS = {
+    onesignal: 'إشعارات المتصفح (OneSignal)',
+    email: 'البريد الإلكتروني',
+    webhook: 'Webhook',
+    telegram: 'تيليجرام',
+    log: 'سجل الخادم (للاختبار)'
+};
+
+// Settings fields shown for each channel, stored in its config
+const CHANNEL_FIELDS = {
+    email: [{ key: 'to', label: 'البريد', type: 'email' }],
+    webhook: [{ key: 'url', label: 'الرابط', type: 'url' }, { key: 'secret', label: 'مفتاح التوقيع', type: 'text' }],
+    telegram: [{ key: 'chatId', label: 'Chat ID', type: 'text' }]
+};
+
+const QUEUE_STATUS_BADGES = {
+    pending: ['badge-warning', 'قيد الانتظار'],
+    sent: ['badge-success', 'تم الإرسال'],
+    failed: ['badge-danger', 'فشل']
+};
+
+async function loadChannels() {
+    const tbody = document.getElementById('channelsTable');
+    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const data = await api.get('/api/me/channels');
+        if (data.error) throw new Error(data.error);
+
+        document.getElementById('channelsDefaultsNote').textContent = data.channels.length === 0
+            ? `لم تحدد أي قناة بعد، لذلك تصلك الإشعارات عبر: ${data.defaults.map(name => CHANNEL_LABELS[name] || name).join('، ')}`
+            : '';
+
+        tbody.innerHTML = data.available.map(({ name, configured }) => {
+            const saved = data.channels.find(c => c.channel === name);
+            const config = saved ? saved.config : {};
+            const fields = (CHANNEL_FIELDS[name] || []).map(field => `
+                <input type="${field.type}" data-key="${field.key}" placeholder="${field.label}"
+                    value="${escapeHtml(config[field.key] || '')}" style="margin-bottom: 0.25rem;">
+            `).join('');
+
+            return `
+                <tr data-channel="${name}">
+                    <td>
+                        ${CHANNEL_LABELS[name] || name}
+                        ${configured ? '' : '<br><small style="color: var(--danger);">غير مهيأة على الخادم</small>'}
+                    </td>
+                    <td>${fields || '<span style="color: var(--text-secondary);">-</span>'}</td>
+                    <td><input type="checkbox" class="channel-enabled" ${saved && saved.enabled ? 'checked' : ''} style="width: auto;"></td>
+                    <td class="text-end">
+                        <button onclick="saveChannel('${name}', this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;">حفظ</button>
+                        ${saved ? `<button onclick="removeChannel('${name}', this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: #4a5568;">إزالة</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function saveChannel(name, btn) {
+    const row = btn.closest('tr');
+    const config = {};
+    row.querySelectorAll('input[data-key]').forEach(input => { config[input.dataset.key] = input.value.trim(); });
+    const enabled = row.querySelector('.channel-enabled').checked;
+
+    btn.disabled = true;
+    try {
+        const result = await api.put(`/api/me/channels/${name}`, { config, enabled });
+        if (result.success) {
+            loadChannels();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function removeChannel(name, btn) {
+    btn.disabled = true;
+    try {
+        await api.del(`/api/me/channels/${name}`);
+        loadChannels();
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+async function testChannels(btn) {
+    btn.disabled = true;
+    try {
+        const result = await api.post('/api/me/channels/test');
+        if (!result.success) {
+            alert(result.error || 'تعذر الإرسال');
+            return;
+        }
+        const lines = result.deliveries.map(d =>
+            `${CHANNEL_LABELS[d.channel] || d.channel}: ${QUEUE_STATUS_BADGES[d.status][1]}${d.last_error ? ` (${d.last_error})` : ''}`);
+        alert(lines.join('\n') || 'لا توجد قنوات مفعلة');
+        if (currentUser && currentUser.permissions && currentUser.permissions.canManage) loadNotificationQueue();
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function loadNotificationQueue() {
+    const tbody = document.getElementById('queueTable');
+    const status = document.getElementById('queueStatus').value;
+
+    try {
+        const rows = await api.get(`/api/notifications/queue${status ? `?status=${status}` : ''}`);
+        if (!Array.isArray(rows)) return;
+
+        tbody.innerHTML = rows.length === 0
+            ? '<tr><td colspan="6" style="text-align: center;">لا توجد بيانات</td></tr>'
+            : rows.map(q => {
+                const [badge, label] = QUEUE_STATUS_BADGES[q.status] || ['', q.status];
+                return `
+                    <tr>
+                        <td style="white-space: nowrap;">${new Date(q.created_at).toLocaleString('en-GB')}</td>
+                        <td>${escapeHtml(q.username || '-')}</td>
+                        <td>${escapeHtml(CHANNEL_LABELS[q.channel] || q.channel)}</td>
+                        <td class="hide-mobile">${escapeHtml(q.title)}: ${escapeHtml(q.message)}</td>
+                        <td>
+                            <span class="badge ${badge}" title="${escapeHtml(q.last_error || '')}">${label}</span>
+                            ${q.attempts > 1 ? `<small style="color: var(--text-secondary);">(${q.attempts})</small>` : ''}
+                        </td>
+                        <td class="text-end">
+                            ${q.status === 'failed' ? `<button onclick="retryNotification(${q.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;">إعادة</button>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function retryNotification(id, btn) {
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/notifications/queue/${id}/retry`);
+        if (!result.success) alert(result.error || 'تعذر الإرسال');
+        setTimeout(loadNotificationQueue, 1000);
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+// Scheduled digests of the current user
+const DIGEST_LABELS = {
+    daily: ['الملخص اليومي', 'مبيعات ومقبوضات وفروقات أمس لكل فرع، الفروع بدون تصفية، وأعلى عجز'],
+    weekly: ['الملخص الأسبوعي', 'آخر 7 أيام مقارنة بالأسبوع الذي قبله']
+};
+
+const WEEKDAY_LABELS = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+
+async function loadDigests() {
+    const tbody = document.getElementById('digestsTable');
+    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const data = await api.get('/api/me/digests');
+        if (data.error) throw new Error(data.error);
+
+        document.getElementById('digestsNote').textContent =
+            `تُرسل عبر قنوات الإشعار أعلاه (ومنها البريد الإلكتروني إن كان مفعلاً). الأوقات بتوقيت ${data.timezone}.`;
+
+        tbody.innerHTML = data.schedules.map(s => {
+            const [label, description] = DIGEST_LABELS[s.kind] || [s.kind, ''];
+            return `
+                <tr data-digest="${s.kind}">
+                    <td>
+                        ${label}
+                        <br><small style="color: var(--text-secondary);">${description}</small>
+                        ${s.lastSentAt ? `<br><small style="color: var(--text-secondary);">آخر إرسال: ${new Date(s.lastSentAt).toLocaleString('en-GB')}</small>` : ''}
+                    </td>
+                    <td>
+                        ${s.kind === 'weekly' ? `
+                            <select class="form-select digest-weekday" style="margin-bottom: 0.25rem;">
+                                ${WEEKDAY_LABELS.map((day, i) => `<option value="${i}" ${s.weekday === i ? 'selected' : ''}>${day}</option>`).join('')}
+                            </select>
+                        ` : ''}
+                        <input type="time" class="digest-time" value="${escapeHtml(s.sendTime)}">
+                    </td>
+                    <td><input type="checkbox" class="digest-enabled" ${s.enabled ? 'checked' : ''} style="width: auto;"></td>
+                    <td class="text-end" style="white-space: nowrap;">
+                        <button onclick="saveDigest('${s.kind}', this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;">حفظ</button>
+                        <button onclick="previewDigest('${s.kind}', this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: #4a5568;">معاينة</button>
+                        <button onclick="sendDigestNow('${s.kind}', this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: #4a5568;">إرسال الآن</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function saveDigest(kind, btn) {
+    const row = btn.closest('tr');
+    const weekday = row.querySelector('.digest-weekday');
+
+    btn.disabled = true;
+    try {
+        const result = await api.put(`/api/me/digests/${kind}`, {
+            sendTime: row.querySelector('.digest-time').value,
+            weekday: weekday ? Number(weekday.value) : null,
+            enabled: row.querySelector('.digest-enabled').checked
+        });
+        if (result.success) {
+            loadDigests();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function previewDigest(kind, btn) {
+    btn.disabled = true;
+    try {
+        const digest = await api.get(`/api/me/digests/${kind}/preview`);
+        alert(digest.error || `${digest.title}\n\n${digest.message}`);
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function sendDigestNow(kind, btn) {
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/me/digests/${kind}/send`);
+        alert(result.success ? `تم إرسال ${result.title}` : (result.error || 'تعذر الإرسال'));
+        if (currentUser && currentUser.permissions && currentUser.permissions.canManage) loadNotificationQueue();
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.notifications = () => {
+    loadChannels();
+    loadDigests();
+    if (currentUser && currentUser.permissions && currentUser.permissions.canManage) loadNotificationQueue();
+};
@@ -0,0 +1,74 @@
+// Offline support: registers the service worker (public/sw.js), tells the user when the figures
+// on screen come from the device instead of the server, and reloads the current screen once the
+// connection is back. Loaded before dashboard.js, whose request() reports every API response here.
+const RECONNECT_CHECK_MS = 30 * 1000;
+
+// Oldest X-Cached-At among the responses on screen; null while everything is live
+let cachedSince = null;
+let reconnectTimer = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js')
+        .catch(err => console.warn('Service worker registration failed:', err));
+}
+
+function renderConnectionState() {
+    const badge = document.getElementById('offlineBadge');
+    const offline = !navigator.onLine || cachedSince !== null;
+    badge.style.display = offline ? '' : 'none';
+    badge.textContent = cachedSince
+        ? `غير متصل - بيانات محفوظة من ${new Date(cachedSince).toLocaleString('en-GB')}`
+        : 'غير متصل';
+}
+
+// Called by request() in dashboard.js with each API response
+function trackConnection(res) {
+    const cachedAt = res.headers.get('X-Cached-At');
+    if (cachedAt || res.headers.get('X-Offline')) {
+        if (cachedAt && (!cachedSince || cachedAt < cachedSince)) cachedSince = cachedAt;
+        if (!cachedSince) cachedSince = new Date().toISOString();
+        scheduleReconnectCheck();
+    } else if (cachedSince) {
+        // A live answer: the server is reachable again
+        cachedSince = null;
+        refreshCurrentView();
+    }
+    renderConnectionState();
+}
+
+function refreshCurrentView() {
+    cachedSince = null;
+    renderConnectionState();
+    if (viewLoaders[currentView]) viewLoaders[currentView]();
+}
+
+// "online" is not enough on a weak signal: keep probing the server while showing cached data
+function scheduleReconnectCheck() {
+    if (reconnectTimer) return;
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        try {
+            const res = await fetch('/healthz', { cache: 'no-store' });
+            if (res.ok) return refreshCurrentView();
+        } catch (err) {
+            // Still offline
+        }
+        if (cachedSince) scheduleReconnectCheck();
+    }, RECONNECT_CHECK_MS);
+}
+
+// Drops the cached API responses of this session (see the "message" handler in sw.js)
+function clearOfflineData() {
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'logout' });
+    }
+}
+
+window.addEventListener('online', refreshCurrentView);
+window.addEventListener('offline', renderConnectionState);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && cachedSince && navigator.onLine) refreshCurrentView();
+});
+
+registerServiceWorker();
@@ -0,0 +1,100 @@
+// Quarantine screen (admins only): pushed records rejected by sync validation
+const QUARANTINE_ENTITY_LABELS = {
+    admins: 'مستخدم',
+    branches: 'فرع',
+    cashiers: 'كاشير',
+    accountants: 'محاسب',
+    reconciliations: 'تصفية',
+    bankReceipts: 'مقبوض بنكي',
+    cashReceipts: 'مقبوض نقدي'
+};
+
+const QUARANTINE_REASONS = {
+    'is required': 'مطلوب',
+    'must be an integer': 'يجب أن يكون رقماً صحيحاً',
+    'must be a number': 'يجب أن يكون رقماً',
+    'is out of range': 'خارج النطاق المسموح',
+    'must be a string': 'يجب أن يكون نصاً',
+    'must be a date (YYYY-MM-DD)': 'يجب أن يكون تاريخاً (YYYY-MM-DD)',
+    'is not a valid date': 'تاريخ غير صحيح',
+    'must be an object': 'سجل غير صالح',
+    'reconciliation was rejected': 'التصفية التابع لها مرفوضة'
+};
+
+const QUARANTINE_STATUS = {
+    pending: ['badge-warning', 'بانتظار المراجعة'],
+    resolved: ['badge-success', 'تم تصحيحه'],
+    dismissed: ['badge-danger', 'تم تجاهله']
+};
+
+async function loadQuarantine() {
+    const tbody = document.getElementById('quarantineTable');
+    const status = document.getElementById('quarantineStatus').value;
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const rows = await api.get(`/api/sync/quarantine?status=${status}`);
+        if (!Array.isArray(rows)) throw new Error(rows.error);
+
+        tbody.innerHTML = rows.length === 0
+            ? '<tr><td colspan="5" style="text-align: center;">لا توجد سجلات</td></tr>'
+            : rows.map(q => {
+                const [badge, label] = QUARANTINE_STATUS[q.status] || ['', q.status];
+                const errors = q.errors.map(e => `
+                    <div class="history-field">
+                        <span>${escapeHtml(e.field ? (HISTORY_FIELD_LABELS[e.field] || e.field) : '-')}</span>
+                        <strong>${escapeHtml(QUARANTINE_REASONS[e.reason] || e.reason)}</strong>
+                    </div>
+                `).join('');
+                return `
+                    <tr>
+                        <td style="white-space: nowrap;">
+                            ${new Date(q.last_seen_at).toLocaleString('en-GB')}
+                            ${q.times_seen > 1 ? `<br><small style="color: var(--text-secondary);">${q.times_seen} مرات</small>` : ''}
+                            ${q.device_name ? `<br><small style="color: var(--text-secondary);">${escapeHtml(q.device_name)}</small>` : ''}
+                        </td>
+                        <td>
+                            ${escapeHtml(QUARANTINE_ENTITY_LABELS[q.entity] || q.entity)}
+                            ${q.entity_id != null ? `<small style="color: var(--text-secondary);">#${q.entity_id}</small>` : ''}
+                            <br><span class="badge ${badge}">${label}</span>
+                        </td>
+                        <td>${errors}</td>
+                        <td class="hide-mobile">
+                            <details>
+                                <summary style="cursor: pointer; color: var(--text-secondary);">عرض السجل</summary>
+                                <pre class="quarantine-record">${escapeHtml(JSON.stringify(q.record, null, 2))}</pre>
+                            </details>
+                        </td>
+                        <td class="text-end">
+                            ${q.status === 'pending'
+                                ? `<button onclick="dismissQuarantined(${q.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem; background-color: #4a5568;">تجاهل</button>`
+                                : `<small style="color: var(--text-secondary);">${escapeHtml(q.reviewed_by || '')}</small>`}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function dismissQuarantined(id, btn) {
+    if (!confirm('تجاهل هذا السجل؟ لن يتم تطبيقه حتى يعاد إرساله بشكل صحيح من البرنامج.')) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/sync/quarantine/${id}/dismiss`);
+        if (result.success) {
+            loadQuarantine();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.quarantine = loadQuarantine;
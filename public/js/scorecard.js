@@ -0,0 +1,78 @@
+// Cashier scorecard: per-cashier deficit statistics with automatic flags
+const DEFICIT_FLAG_LABELS = {
+    cumulative: 'عجز تراكمي',
+    single: 'عجز كبير',
+    pattern: 'عجز متكرر'
+};
+
+const DEFICIT_RULE_INPUTS = {
+    cumulativeDeficit: 'ruleCumulativeDeficit',
+    singleDeficit: 'ruleSingleDeficit',
+    patternCount: 'rulePatternCount',
+    patternDays: 'rulePatternDays'
+};
+
+function fillDeficitRules(rules) {
+    Object.entries(DEFICIT_RULE_INPUTS).forEach(([key, id]) => {
+        document.getElementById(id).value = rules[key];
+    });
+}
+
+async function loadScorecard() {
+    const tbody = document.getElementById('scorecardTable');
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const data = await api.get(`/api/cashiers/scorecard?${buildFilterQuery()}`);
+        if (data.error) throw new Error(data.error);
+        fillDeficitRules(data.rules);
+
+        if (data.rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">لا توجد بيانات</td></tr>';
+            return;
+        }
+
+        const patternTitle = `${data.rules.patternCount} مرات عجز أو أكثر خلال ${data.rules.patternDays} أيام`;
+        tbody.innerHTML = data.rows.map(c => {
+            const badges = c.flags.map(flag => `<span class="badge badge-danger" ${flag === 'pattern' ? `title="${patternTitle}"` : ''}>${DEFICIT_FLAG_LABELS[flag]}</span>`).join(' ');
+            return `
+                <tr class="${c.flags.length ? 'flagged' : ''}">
+                    <td>${escapeHtml(c.name || 'غير محدد')} <small style="color: var(--text-secondary);">${escapeHtml(c.cashier_number || '')}</small></td>
+                    <td class="hide-mobile">${escapeHtml(c.branch_name || '-')}</td>
+                    <td>${c.count}</td>
+                    <td style="direction: ltr; text-align: right; color: ${c.surplus_deficit >= 0 ? 'var(--success)' : 'var(--danger)'};">${formatCurrency(c.surplus_deficit)}</td>
+                    <td class="hide-mobile" style="direction: ltr; text-align: right;">${formatCurrency(c.avg_shortfall)}</td>
+                    <td class="hide-mobile">${c.deficit_count} (${Math.round(c.deficit_rate * 100)}%)</td>
+                    <td class="hide-mobile" style="direction: ltr; text-align: right;">${formatCurrency(c.max_shortfall)}</td>
+                    <td>${badges || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: var(--danger);">حدث خطأ في تحميل البيانات</td></tr>';
+    }
+}
+
+async function saveDeficitRules(btn) {
+    const body = {};
+    Object.entries(DEFICIT_RULE_INPUTS).forEach(([key, id]) => {
+        body[key] = document.getElementById(id).value;
+    });
+
+    btn.disabled = true;
+    try {
+        const result = await api.put('/api/settings/deficit-flags', body);
+        if (result.success) {
+            loadScorecard();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.scorecard = loadScorecard;
@@ -0,0 +1,109 @@
+// Data screen (admins only): reset the synced data and restore archived snapshots
+const SNAPSHOT_TABLE_LABELS = {
+    reconciliations: 'تصفيات',
+    bank_receipts: 'مقبوضات بنكية',
+    cash_receipts: 'مقبوضات نقدية'
+};
+
+const SNAPSHOT_REASONS = {
+    reset: 'قبل حذف البيانات',
+    'pre-restore': 'قبل الاستعادة'
+};
+
+// The word the admin types to confirm a reset
+const RESET_CONFIRM_WORD = 'حذف';
+
+const snapshotCounts = (counts) => Object.entries(SNAPSHOT_TABLE_LABELS)
+    .map(([table, label]) => `${label}: ${(counts && counts[table]) || 0}`)
+    .join('، ');
+
+async function loadSnapshots() {
+    const tbody = document.getElementById('snapshotsTable');
+    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const snapshots = await api.get('/api/snapshots');
+        if (!Array.isArray(snapshots)) throw new Error(snapshots.error);
+
+        tbody.innerHTML = snapshots.length === 0
+            ? '<tr><td colspan="4" style="text-align: center;">لا توجد نسخ محفوظة</td></tr>'
+            : snapshots.map(s => `
+                <tr>
+                    <td style="white-space: nowrap;">
+                        #${s.id} - ${new Date(s.created_at).toLocaleString('en-GB')}
+                        <br><small style="color: var(--text-secondary);">${escapeHtml(SNAPSHOT_REASONS[s.reason] || s.reason)} · ${escapeHtml(s.created_by || '-')}</small>
+                    </td>
+                    <td>${escapeHtml(snapshotCounts(s.counts))}</td>
+                    <td class="hide-mobile">
+                        ${s.restored_at
+                            ? `<span class="badge badge-success">استعيدت</span> <small style="color: var(--text-secondary);">${new Date(s.restored_at).toLocaleString('en-GB')} · ${escapeHtml(s.restored_by || '-')}</small>`
+                            : '-'}
+                    </td>
+                    <td class="text-end">
+                        <button onclick="restoreSnapshot(${s.id}, this)" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;">استعادة</button>
+                    </td>
+                </tr>
+            `).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+}
+
+async function resetData(btn) {
+    btn.disabled = true;
+    try {
+        // Step 1: the server says what will be deleted and issues a confirmation token
+        const request = await api.post('/api/reset-data/request');
+        if (!request.token) {
+            alert(request.error || 'تعذر تنفيذ الطلب');
+            return;
+        }
+
+        const answer = prompt(
+            `سيتم حذف: ${snapshotCounts(request.counts)}\n` +
+            'ستُحفظ نسخة منها قبل الحذف ويمكن استعادتها من هذه الصفحة.\n' +
+            `للتأكيد اكتب "${RESET_CONFIRM_WORD}":`
+        );
+        if (answer === null) return;
+        if (answer.trim() !== RESET_CONFIRM_WORD) {
+            alert('لم يتم الحذف: كلمة التأكيد غير صحيحة');
+            return;
+        }
+
+        // Step 2: archive and delete
+        const result = await api.post('/api/reset-data', { token: request.token });
+        if (result.success) {
+            alert(`تم حذف البيانات وحفظ نسخة برقم #${result.snapshotId}`);
+            loadSnapshots();
+        } else {
+            alert(result.error || 'تعذر الحذف');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function restoreSnapshot(id, btn) {
+    if (!confirm(`استعادة النسخة #${id}؟ ستعود البيانات كما كانت في النسخة وتُحذف السجلات الأحدث منها، وتُحفظ نسخة من البيانات الحالية قبل الاستعادة.`)) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.post(`/api/snapshots/${id}/restore`);
+        if (result.success) {
+            alert(`تمت الاستعادة (${snapshotCounts(result.restored)})` +
+                (Object.values(result.removed || {}).some(Boolean) ? `\nحُذفت السجلات الأحدث: ${snapshotCounts(result.removed)}` : ''));
+            loadSnapshots();
+        } else {
+            alert(result.error || 'تعذرت الاستعادة');
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.snapshots = loadSnapshots;
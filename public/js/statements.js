@@ -0,0 +1,351 @@
+// Bank statements screen: upload a statement file and review how its credit lines were matched
+// to the synced bank receipts, grouped per branch and reconciliation (uploads and overrides: admins)
+const STATEMENT_STATUS = {
+    matched: ['badge-success', 'مطابق'],
+    suspicious: ['badge-warning', 'مشتبه'],
+    unmatched: ['badge-danger', 'غير مطابق']
+};
+
+const STATEMENT_REASONS = {
+    reference: 'نفس الرقم المرجعي',
+    amount_date: 'نفس المبلغ والتاريخ',
+    amount_differs: 'نفس الرقم المرجعي لكن المبلغ مختلف',
+    date_out_of_window: 'نفس الرقم المرجعي لكن التاريخ بعيد',
+    ambiguous: 'أكثر من مقبوض بنفس المبلغ',
+    reference_differs: 'الرقم المرجعي مختلف',
+    manual: 'مطابقة يدوية'
+};
+
+let currentStatementId = null;
+
+const canEditStatements = () => currentUser && currentUser.permissions && currentUser.permissions.canManage;
+
+const statementButton = (label, onclick, color) =>
+    `<button onclick="${onclick}" class="btn" style="width: auto; padding: 0.25rem 0.75rem; font-size: 0.8rem;${color ? ` background-color: ${color};` : ''}">${label}</button>`;
+
+async function loadStatements() {
+    const tbody = document.getElementById('statementsTable');
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">جاري التحميل...</td></tr>';
+
+    try {
+        const statements = await api.get('/api/bank-statements');
+        if (!Array.isArray(statements)) throw new Error(statements.error);
+
+        tbody.innerHTML = statements.length === 0
+            ? '<tr><td colspan="5" style="text-align: center;">لم يتم رفع أي كشف بعد</td></tr>'
+            : statements.map(s => `
+                <tr>
+                    <td>
+                        ${escapeHtml(s.file_name || `#${s.id}`)}
+                        <br><small style="color: var(--text-secondary);">${escapeHtml([s.bank_name, s.account].filter(Boolean).join(' · ') || s.format)}</small>
+                    </td>
+                    <td class="hide-mobile" style="white-space: nowrap;">${formatDate(s.period_from)} - ${formatDate(s.period_to)}</td>
+                    <td style="direction: ltr; text-align: right;">${formatCurrency(s.total)}</td>
+                    <td>
+                        <span class="badge badge-success">${s.matched}</span>
+                        <span class="badge badge-warning">${s.suspicious}</span>
+                        <span class="badge badge-danger">${s.unmatched}</span>
+                    </td>
+                    <td class="text-end" style="white-space: nowrap;">
+                        ${statementButton('عرض', `openStatement(${s.id})`)}
+                        ${canEditStatements() ? statementButton('حذف', `deleteStatement(${s.id}, this)`, 'var(--danger)') : ''}
+                    </td>
+                </tr>
+            `).join('');
+    } catch (err) {
+        console.error(err);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--danger);">خطأ في التحميل</td></tr>';
+    }
+
+    if (currentStatementId) openStatement(currentStatementId);
+}
+
+function uploadStatement(btn) {
+    const file = document.getElementById('statementFile').files[0];
+    if (!file) {
+        alert('اختر ملف الكشف أولاً');
+        return;
+    }
+
+    btn.disabled = true;
+    const reader = new FileReader();
+    reader.onload = async () => {
+        try {
+            const result = await api.post('/api/bank-statements', {
+                fileName: file.name,
+                content: reader.result,
+                bankName: document.getElementById('statementBank').value.trim()
+            });
+            if (result.success) {
+                const { matched, suspicious, unmatched } = result.summary;
+                alert(`تم رفع ${result.statement.line_count} بند: ${matched} مطابق، ${suspicious} مشتبه، ${unmatched} غير مطابق`);
+                document.getElementById('statementFile').value = '';
+                currentStatementId = result.statement.id;
+                loadStatements();
+            } else {
+                alert(result.error || 'تعذر رفع الكشف');
+            }
+        } catch (err) {
+            alert('حدث خطأ في الاتصال');
+        } finally {
+            btn.disabled = false;
+        }
+    };
+    reader.onerror = () => {
+        alert('تعذرت قراءة الملف');
+        btn.disabled = false;
+    };
+    reader.readAsText(file);
+}
+
+function statementLineRow(line, withReceipt) {
+    const [badge, label] = STATEMENT_STATUS[line.match_status];
+    const actions = [];
+    if (canEditStatements()) {
+        if (line.match_status === 'suspicious') actions.push(statementButton('تأكيد', `confirmStatementLine(${line.id}, this)`));
+        actions.push(statementButton('تغيير', `editStatementLine(${line.id}, this)`, '#4a5568'));
+    }
+
+    return `
+        <tr>
+            <td style="white-space: nowrap;">${formatDate(line.booking_date)}</td>
+            <td style="direction: ltr; text-align: right;">${formatCurrency(line.amount)}</td>
+            <td class="hide-mobile">
+                ${escapeHtml(line.reference || '-')}
+                ${line.description ? `<br><small style="color: var(--text-secondary);">${escapeHtml(line.description)}</small>` : ''}
+            </td>
+            ${withReceipt ? `
+                <td>
+                    ${escapeHtml(line.bank_name || UNSPECIFIED)}${line.operation_type ? ` - ${escapeHtml(line.operation_type)}` : ''}
+                    <span style="direction: ltr; display: inline-block;">${formatCurrency(line.receipt_amount)}</span>
+                    ${line.reference_number ? `<br><small style="color: var(--text-secondary);">مرجع: ${escapeHtml(line.reference_number)}</small>` : ''}
+                </td>
+            ` : ''}
+            <td>
+                <span class="badge ${badge}">${label}</span>
+                ${line.match_reason ? `<br><small style="color: var(--text-secondary);">${escapeHtml(STATEMENT_REASONS[line.match_reason] || line.match_reason)}</small>` : ''}
+                ${line.confirmed_by ? `<br><small style="color: var(--text-secondary);">${escapeHtml(line.confirmed_by)}</small>` : ''}
+            </td>
+            <td class="text-end" id="statementLineActions${line.id}" style="white-space: nowrap;">${actions.join(' ')}</td>
+        </tr>
+    `;
+}
+
+// Matched lines: one table per branch, rows grouped under their reconciliation
+function renderStatementBranches(lines) {
+    const branches = new Map();
+    lines.forEach(line => {
+        const branch = branches.get(line.branch_id) || { name: line.branch_name, reconciliations: new Map() };
+        const recon = branch.reconciliations.get(line.reconciliation_id) || { line, lines: [] };
+        recon.lines.push(line);
+        branch.reconciliations.set(line.reconciliation_id, recon);
+        branches.set(line.branch_id, branch);
+    });
+
+    return [...branches.values()].map(branch => {
+        const rows = [...branch.reconciliations.values()].map(({ line, lines: reconLines }) => `
+            <tr style="background: rgba(255, 255, 255, 0.03);">
+                <td colspan="6">
+                    <strong>تصفية #${escapeHtml(String(line.reconciliation_number ?? line.reconciliation_id ?? '-'))}</strong>
+                    <small style="color: var(--text-secondary);">${formatDate(line.reconciliation_date)} · ${escapeHtml(line.cashier_name || '-')}</small>
+                </td>
+            </tr>
+            ${reconLines.map(l => statementLineRow(l, true)).join('')}
+        `).join('');
+        const total = [...branch.reconciliations.values()].flatMap(r => r.lines).reduce((sum, l) => sum + l.amount, 0);
+
+        return `
+            <div class="chart-header" style="margin-top: 1.5rem;">
+                <h3>${escapeHtml(branch.name || UNSPECIFIED)}</h3>
+                <span style="direction: ltr;">${formatCurrency(total)}</span>
+            </div>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>تاريخ القيد</th>
+                            <th>مبلغ الكشف</th>
+                            <th class="hide-mobile">المرجع</th>
+                            <th>المقبوض</th>
+                            <th>الحالة</th>
+                            <th class="text-end">اجراءات</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+}
+
+async function openStatement(id) {
+    currentStatementId = id;
+    const container = document.getElementById('statementDetail');
+    container.style.display = 'block';
+    container.innerHTML = '<div class="chart-empty">جاري التحميل...</div>';
+
+    try {
+        const data = await api.get(`/api/bank-statements/${id}`);
+        if (data.error) throw new Error(data.error);
+
+        const { statement, lines, unmatchedReceipts } = data;
+        const withReceipt = lines.filter(l => l.bank_receipt_id != null);
+        const withoutReceipt = lines.filter(l => l.bank_receipt_id == null);
+        const count = (status) => lines.filter(l => l.match_status === status).length;
+
+        container.innerHTML = `
+            <div class="chart-header">
+                <h3>${escapeHtml(statement.file_name || `كشف #${statement.id}`)} (${formatDate(statement.period_from)} - ${formatDate(statement.period_to)})</h3>
+                ${canEditStatements() ? statementButton('إعادة المطابقة', `rematchStatement(${statement.id}, this)`) : ''}
+            </div>
+            <div class="stats-grid">
+                ${Object.entries(STATEMENT_STATUS).map(([status, [, label]]) => `
+                    <div class="stat-card">
+                        <div class="stat-label">${label}</div>
+                        <div class="stat-value">${count(status)}</div>
+                    </div>
+                `).join('')}
+                <div class="stat-card">
+                    <div class="stat-label">مقبوضات غير موجودة في الكشف</div>
+                    <div class="stat-value">${unmatchedReceipts.length}</div>
+                </div>
+            </div>
+
+            ${renderStatementBranches(withReceipt)}
+
+            <div class="chart-header" style="margin-top: 1.5rem;">
+                <h3>بنود في الكشف بلا مقبوض</h3>
+            </div>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>تاريخ القيد</th>
+                            <th>المبلغ</th>
+                            <th class="hide-mobile">المرجع</th>
+                            <th>الحالة</th>
+                            <th class="text-end">اجراءات</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${withoutReceipt.length === 0
+                            ? '<tr><td colspan="5" style="text-align: center;">لا توجد بنود</td></tr>'
+                            : withoutReceipt.map(l => statementLineRow(l, false)).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="chart-header" style="margin-top: 1.5rem;">
+                <h3>مقبوضات بنكية في الفترة غير موجودة في الكشف</h3>
+            </div>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>الفرع</th>
+                            <th>التصفية</th>
+                            <th>البنك</th>
+                            <th>المبلغ</th>
+                            <th class="hide-mobile">المرجع</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${unmatchedReceipts.length === 0
+                            ? '<tr><td colspan="5" style="text-align: center;">لا توجد مقبوضات</td></tr>'
+                            : unmatchedReceipts.map(r => `
+                                <tr>
+                                    <td>${escapeHtml(r.branch_name || UNSPECIFIED)}</td>
+                                    <td>#${escapeHtml(String(r.reconciliation_number ?? r.reconciliation_id))} <small style="color: var(--text-secondary);">${formatDate(r.reconciliation_date)}</small></td>
+                                    <td>${escapeHtml(r.bank_name || UNSPECIFIED)}${r.operation_type ? ` - ${escapeHtml(r.operation_type)}` : ''}</td>
+                                    <td style="direction: ltr; text-align: right;">${formatCurrency(r.receipt_amount)}</td>
+                                    <td class="hide-mobile">${escapeHtml(r.reference_number || '-')}</td>
+                                </tr>
+                            `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (err) {
+        console.error(err);
+        container.innerHTML = '<div class="chart-empty">حدث خطأ في تحميل البيانات</div>';
+    }
+}
+
+async function postStatementAction(url, body, btn) {
+    btn.disabled = true;
+    try {
+        const result = await api.post(url, body);
+        if (result.success) {
+            loadStatements();
+        } else {
+            alert(result.error || 'تعذر الحفظ');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+function confirmStatementLine(lineId, btn) {
+    postStatementAction(`/api/bank-statements/${currentStatementId}/lines/${lineId}/confirm`, {}, btn);
+}
+
+// Replaces the line's buttons with a list of receipts close in amount and date
+async function editStatementLine(lineId, btn) {
+    btn.disabled = true;
+    try {
+        const candidates = await api.get(`/api/bank-statements/${currentStatementId}/lines/${lineId}/candidates`);
+        if (!Array.isArray(candidates)) throw new Error(candidates.error);
+
+        document.getElementById(`statementLineActions${lineId}`).innerHTML = `
+            <select id="statementLineReceipt${lineId}" class="form-select" style="max-width: 260px;">
+                <option value="">بدون مقبوض</option>
+                ${candidates.map(r => `
+                    <option value="${r.id}">
+                        ${escapeHtml(formatCurrency(r.receipt_amount))} · ${escapeHtml(r.branch_name || UNSPECIFIED)} · #${escapeHtml(String(r.reconciliation_number ?? r.reconciliation_id))} (${escapeHtml(r.reconciliation_date || '')})
+                    </option>
+                `).join('')}
+            </select>
+            ${statementButton('حفظ', `saveStatementLine(${lineId}, this)`)}
+        `;
+    } catch (err) {
+        console.error(err);
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+function saveStatementLine(lineId, btn) {
+    const value = document.getElementById(`statementLineReceipt${lineId}`).value;
+    postStatementAction(`/api/bank-statements/${currentStatementId}/lines/${lineId}/match`,
+        { bankReceiptId: value ? Number(value) : null }, btn);
+}
+
+function rematchStatement(id, btn) {
+    postStatementAction(`/api/bank-statements/${id}/rematch`, {}, btn);
+}
+
+async function deleteStatement(id, btn) {
+    if (!confirm('حذف هذا الكشف ونتائج مطابقته؟')) return;
+
+    btn.disabled = true;
+    try {
+        const result = await api.del(`/api/bank-statements/${id}`);
+        if (result.success) {
+            if (currentStatementId === id) {
+                currentStatementId = null;
+                document.getElementById('statementDetail').style.display = 'none';
+            }
+            loadStatements();
+        } else {
+            alert(result.error || 'تعذر الحذف');
+            btn.disabled = false;
+        }
+    } catch (err) {
+        alert('حدث خطأ في الاتصال');
+        btn.disabled = false;
+    }
+}
+
+viewLoaders.statements = loadStatements;
@@ -0,0 +1,153 @@
+// Dashboard service worker: app shell offline, last-viewed report data, and OneSignal push.
+// OneSignal is initialised with this file as its worker (serviceWorkerPath in dashboard.js),
+// so both live in a single registration on "/" instead of replacing each other.
+try {
+    importScripts('https://cdn.onesignal.com/sdks/web/v16/OneSignalSDK.sw.js');
+} catch (err) {
+    // Offline or blocked: caching still works, push needs the SDK on a later start
+    console.warn('OneSignal worker not loaded:', err);
+}
+
+// Static files are served from the cache first, so a new page would run against the old scripts
+// for one load: bump the version with every change to the shell files (list or contents).
+const SHELL_CACHE = 'tasfiya-shell-v3';
+const API_CACHE = 'tasfiya-api';
+const API_CACHE_LIMIT = 30; // Responses kept, the most recently viewed ones
+
+// Keep in step with the stylesheets and scripts of views/dashboard.html
+const SHELL_FILES = [
+    '/',
+    '/login',
+    '/manifest.webmanifest',
+    '/css/style.css',
+    '/img/logo.png',
+    '/img/favicon.png',
+    '/img/icon-192.png',
+    '/js/offline.js',
+    '/js/dashboard.js',
+    '/js/live.js',
+    '/js/charts.js',
+    '/js/analytics.js',
+    '/js/scorecard.js',
+    '/js/banks.js',
+    '/js/statements.js',
+    '/js/alerts.js',
+    '/js/notifications.js',
+    '/js/history.js',
+    '/js/quarantine.js',
+    '/js/integrity.js',
+    '/js/devices.js',
+    '/js/snapshots.js',
+    '/js/admins.js'
+];
+
+// GET endpoints answered from the cache when the network is down: the reports list, the stat
+// cards and branch comparison, plus what the page needs to draw itself (current user, filter options)
+const CACHED_API_PATHS = ['/api/reports', '/api/stats', '/api/stats/branches', '/api/me', '/api/metadata'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && name !== API_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Logging out must not leave the previous user's figures on the device
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'logout') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+// Cached API responses are keyed by URL and session, so one user never sees another's data
+async function apiCacheKey(request) {
+    const auth = request.headers.get('Authorization') || '';
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(auth));
+    const session = Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+    const url = new URL(request.url);
+    url.searchParams.set('__session', session);
+    return url.toString();
+}
+
+async function trimApiCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - API_CACHE_LIMIT, 0)).map(key => cache.delete(key)));
+}
+
+// Network first; the last good response is kept and replayed offline with X-Cached-At set
+async function fetchApi(request) {
+    const cache = await caches.open(API_CACHE);
+    const key = await apiCacheKey(request);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set('X-Cached-At', new Date().toISOString());
+            const copy = new Response(await response.clone().blob(), { status: response.status, headers });
+            await cache.delete(key); // Re-insert so the key order follows the last view
+            await cache.put(key, copy);
+            await trimApiCache(cache);
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        return new Response(JSON.stringify({ error: 'لا يوجد اتصال ولا توجد بيانات محفوظة لهذه الصفحة', offline: true }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json', 'X-Offline': '1' }
+        });
+    }
+}
+
+// Pages: network first so a new deployment shows up at once, the cached shell when offline
+async function fetchPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && !response.redirected) await cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match('/');
+    }
+}
+
+// Static files: served from the cache and refreshed in the background
+async function fetchStatic(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHED_API_PATHS.includes(url.pathname)) event.respondWith(fetchApi(request));
+        return;
+    }
+    if (request.mode === 'navigate') {
+        event.respondWith(fetchPage(request));
+        return;
+    }
+    event.respondWith(fetchStatic(request));
+});
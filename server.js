@@ -1,42 +1,237 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 const axios = require('axios');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
+const { migrateUp } = require('./migrate');
+const { parseStatement, StatementError, STATEMENT_FORMATS } = require('./statements');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// OneSignal Config
+// --- Notifications ---
+// Each notification is queued once per recipient admin and channel (notification_queue), then
+// delivered; failed sends are retried with backoff. Admins pick their channels in
+// admin_channels, and admins without any get NOTIFY_DEFAULT_CHANNELS.
+// With NOTIFY_DRY_RUN=true every delivery goes to the in-memory log instead of the network.
 const ONESIGNAL_APP_ID = process.env.ONESIGNAL_APP_ID;
 const ONESIGNAL_API_KEY = process.env.ONESIGNAL_API_KEY;
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
-async function sendNotification(title, message) {
-    if (!ONESIGNAL_APP_ID || !ONESIGNAL_API_KEY) {
-        console.warn('⚠️ OneSignal credentials not found');
-        return;
+const NOTIFY_DEFAULT_CHANNELS = (process.env.NOTIFY_DEFAULT_CHANNELS || 'onesignal')
+    .split(',').map(name => name.trim()).filter(Boolean);
+const NOTIFY_DRY_RUN = process.env.NOTIFY_DRY_RUN === 'true';
+const NOTIFY_RETRY_MINUTES = [1, 5, 15, 60, 240]; // Delay before attempts 2..6
+const NOTIFY_QUEUE_INTERVAL_MS = 30 * 1000;
+const NOTIFY_LOG_SIZE = 200;
+
+// Errors that retrying cannot fix (missing configuration, rejected request)
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+const providerError = (err) => {
+    const status = err.response && err.response.status;
+    const detail = err.response ? JSON.stringify(err.response.data) : err.message;
+    const error = new Error(status ? `HTTP ${status}: ${detail}` : detail);
+    error.permanent = Boolean(status && status >= 400 && status < 500 && status !== 429);
+    return error;
+};
+
+// Most recent deliveries of the log channel (and of every channel in dry-run mode)
+const notificationLog = [];
+
+const recordNotification = (channel, item) => {
+    notificationLog.unshift({ channel, ...item, at: new Date().toISOString() });
+    notificationLog.length = Math.min(notificationLog.length, NOTIFY_LOG_SIZE);
+    console.log(`🔔 [${channel}] ${item.title}: ${item.message}`);
+};
+
+let mailer = null;
+const getMailer = () => {
+    if (!mailer) {
+        mailer = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return mailer;
+};
+
+// readConfig validates what an admin enters for the channel (null when invalid);
+// send receives a queued item: { tenant_id, admin_id, title, message, config }.
+const NOTIFICATION_CHANNELS = {
+    onesignal: {
+        configured: () => Boolean(ONESIGNAL_APP_ID && ONESIGNAL_API_KEY),
+        readConfig: () => ({}),
+        // The dashboard logs each admin in to OneSignal as "admin-<id>"
+        send: async (item) => {
+            await axios.post('https://onesignal.com/api/v1/notifications', {
+                app_id: ONESIGNAL_APP_ID,
+                headings: { en: item.title, ar: item.title },
+                contents: { en: item.message, ar: item.message },
+                include_aliases: { external_id: [`admin-${item.admin_id}`] },
+                target_channel: 'push'
+            }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Basic ${ONESIGNAL_API_KEY}`
+                }
+            });
+        }
+    },
+    email: {
+        configured: () => Boolean(process.env.SMTP_HOST),
+        readConfig: (config) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(config.to || '') ? { to: config.to } : null,
+        send: async (item) => {
+            await getMailer().sendMail({
+                from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                to: item.config.to,
+                subject: item.title,
+                text: item.message
+            });
+        }
+    },
+    webhook: {
+        configured: () => true,
+        readConfig: (config) => /^https?:\/\//.test(config.url || '')
+            ? { url: config.url, secret: config.secret || '' }
+            : null,
+        // Signed with HMAC-SHA256 of the body when a secret is set
+        send: async (item) => {
+            const body = JSON.stringify({
+                title: item.title,
+                message: item.message,
+                tenantId: item.tenant_id,
+                adminId: item.admin_id,
+                sentAt: new Date().toISOString()
+            });
+            const headers = { 'Content-Type': 'application/json' };
+            if (item.config.secret) {
+                headers['X-Signature'] = crypto.createHmac('sha256', item.config.secret).update(body).digest('hex');
+            }
+            await axios.post(item.config.url, body, { headers, timeout: 10000 });
+        }
+    },
+    telegram: {
+        configured: () => Boolean(TELEGRAM_BOT_TOKEN),
+        readConfig: (config) => /^-?\d+$/.test(String(config.chatId || '')) ? { chatId: String(config.chatId) } : null,
+        send: async (item) => {
+            await axios.post(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+                chat_id: item.config.chatId,
+                text: `${item.title}\n${item.message}`
+            }, { timeout: 10000 });
+        }
+    },
+    log: {
+        configured: () => true,
+        readConfig: () => ({}),
+        send: async (item) => recordNotification('log', item)
+    }
+};
+
+async function deliverNotification(item) {
+    const channel = NOTIFICATION_CHANNELS[item.channel];
+    if (!channel) throw permanentError(`Unknown channel ${item.channel}`);
+
+    if (NOTIFY_DRY_RUN) return recordNotification(item.channel, item);
+    if (!channel.configured()) throw permanentError(`Channel ${item.channel} is not configured on the server`);
+
+    try {
+        await channel.send(item);
+    } catch (err) {
+        throw err.permanent ? err : providerError(err);
     }
+}
+
+// Sends and retries queued notifications that are due; safe to call at any time
+let notificationQueueBusy = false;
+async function processNotificationQueue() {
+    if (notificationQueueBusy) return;
+    notificationQueueBusy = true;
 
     try {
-        await axios.post('https://onesignal.com/api/v1/notifications', {
-            app_id: ONESIGNAL_APP_ID,
-            headings: { en: title, ar: title },
-            contents: { en: message, ar: message },
-            included_segments: ['All'], // Send to all subscribed users (Admins)
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Basic ${ONESIGNAL_API_KEY}`
+        for (;;) {
+            // Claiming pushes next_attempt_at forward, so a crash mid-send is retried later
+            const claimed = await pool.query(`
+                UPDATE notification_queue SET attempts = attempts + 1, next_attempt_at = NOW() + INTERVAL '10 minutes'
+                WHERE id IN (
+                    SELECT id FROM notification_queue
+                    WHERE status = 'pending' AND next_attempt_at <= NOW()
+                    ORDER BY id
+                    LIMIT 20
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            `);
+            if (claimed.rows.length === 0) break;
+
+            for (const item of claimed.rows) {
+                try {
+                    await deliverNotification(item);
+                    await pool.query(
+                        "UPDATE notification_queue SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1",
+                        [item.id]
+                    );
+                } catch (err) {
+                    const retryIn = NOTIFY_RETRY_MINUTES[item.attempts - 1];
+                    const giveUp = err.permanent || retryIn === undefined;
+                    console.error(`❌ Notification ${item.id} via ${item.channel} failed:`, err.message);
+                    await pool.query(`
+                        UPDATE notification_queue SET
+                            status = $2,
+                            last_error = $3,
+                            next_attempt_at = NOW() + make_interval(mins => $4)
+                        WHERE id = $1
+                    `, [item.id, giveUp ? 'failed' : 'pending', err.message, retryIn || 0]);
+                }
             }
-        });
-        console.log('🔔 Notification sent:', title);
-    } catch (error) {
-        console.error('❌ Notification failed:', error.response?.data || error.message);
+        }
+    } finally {
+        notificationQueueBusy = false;
     }
 }
 
+// Queues a notification for some admins of a tenant (all of them when adminIds is omitted)
+async function sendNotification(tenantId, title, message, adminIds) {
+    if (adminIds && adminIds.length === 0) return;
+
+    const result = await pool.query(`
+        SELECT a.id,
+               COUNT(ac.channel) as configured,
+               COALESCE(json_agg(json_build_object('channel', ac.channel, 'config', ac.config))
+                   FILTER (WHERE ac.enabled), '[]') as channels
+        FROM admins a
+        LEFT JOIN admin_channels ac ON ac.admin_id = a.id
+        WHERE a.tenant_id = $1 AND a.disabled_at IS NULL AND ($2::int[] IS NULL OR a.id = ANY($2))
+        GROUP BY a.id
+    `, [tenantId, adminIds || null]);
+
+    for (const admin of result.rows) {
+        const channels = Number(admin.configured) > 0
+            ? admin.channels
+            : NOTIFY_DEFAULT_CHANNELS.map(channel => ({ channel, config: {} }));
+
+        for (const { channel, config } of channels) {
+            await pool.query(`
+                INSERT INTO notification_queue (tenant_id, admin_id, channel, config, title, message)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [tenantId, admin.id, channel, JSON.stringify(config), title, message]);
+        }
+    }
+
+    await processNotificationQueue();
+}
+
 // Database Connection
+// DATE columns come back as 'YYYY-MM-DD' strings, not as Dates shifted by the server time zone
+types.setTypeParser(types.builtins.DATE, value => value);
+
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
@@ -48,8 +243,24 @@ app.use(express.json({ limit: '50mb' })); // Allow large payloads for sync
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Simple In-Memory Session Store (Use Redis/DB in production for persistence)
-const sessions = new Map();
+// Health checks: /healthz once the process is up, /readyz once migrations have run
+const serverState = { ready: false, error: null };
+
+app.get('/healthz', (req, res) => res.json({ ok: true }));
+
+app.get('/readyz', (req, res) => {
+    if (!serverState.ready) {
+        return res.status(503).json({ ready: false, error: serverState.error });
+    }
+    res.json({ ready: true });
+});
+
+app.use('/api', (req, res, next) => {
+    if (!serverState.ready) {
+        return res.status(503).json({ error: 'Server is starting, please retry shortly' });
+    }
+    next();
+});
 
 // Public Config Endpoint
 app.get('/api/config', (req, res) => {
@@ -58,19 +269,203 @@ app.get('/api/config', (req, res) => {
     });
 });
 
+// --- Tenants ---
+// Every synced row belongs to a tenant (one company / desktop installation).
+// Desktop apps authenticate with their tenant's sync key, stored as a SHA-256 hash.
+const hashSyncKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const generateSyncKey = () => 'tsk_' + crypto.randomBytes(24).toString('hex');
+
+async function findTenantBySyncKey(apiKey) {
+    if (!apiKey) return null;
+    const result = await pool.query('SELECT id, name, code FROM tenants WHERE sync_key_hash = $1', [hashSyncKey(apiKey)]);
+    return result.rows[0] || null;
+}
+
+// Each desktop install can also be registered as a device with its own key, sent in the
+// X-Sync-Key header. Device keys can be rotated or revoked one by one, and pushes record
+// the device that sent them. The tenant key (`apiKey` in the body) keeps working for older
+// builds unless the tenant turns on requireDeviceKey.
+const SYNC_DEVICE_DEFAULTS = { requireDeviceKey: false };
+
+const generateDeviceKey = () => 'tsd_' + crypto.randomBytes(24).toString('hex');
+
+// Resolves the caller of a sync endpoint: { tenant, device } or { status, error }
+async function authenticateSync(req) {
+    const headerKey = req.get('X-Sync-Key');
+    if (headerKey) {
+        const result = await pool.query(`
+            SELECT d.id, d.name, d.revoked_at, t.id AS tenant_id, t.name AS tenant_name, t.code
+            FROM sync_devices d
+            JOIN tenants t ON t.id = d.tenant_id
+            WHERE d.key_hash = $1
+        `, [hashSyncKey(headerKey)]);
+        const row = result.rows[0];
+        if (row) {
+            if (row.revoked_at) return { status: 403, error: 'This device has been revoked' };
+            pool.query('UPDATE sync_devices SET last_seen_at = NOW(), last_ip = $1 WHERE id = $2', [req.ip, row.id])
+                .catch(err => console.error('Failed to update device:', err));
+            return {
+                tenant: { id: row.tenant_id, name: row.tenant_name, code: row.code },
+                device: { id: row.id, name: row.name }
+            };
+        }
+    }
+
+    const tenant = await findTenantBySyncKey(headerKey || req.body.apiKey);
+    if (!tenant) return { status: 403, error: 'Invalid API Key' };
+
+    const policy = await getSetting(tenant.id, 'sync_devices', SYNC_DEVICE_DEFAULTS);
+    if (policy.requireDeviceKey) return { status: 403, error: 'A registered device key is required' };
+    return { tenant, device: null };
+}
+
+// --- Auth: Passwords & Sessions ---
+// Passwords are stored as "scrypt$N$r$p$salt$hash". Sessions live in Postgres (only the
+// SHA-256 of the token is stored) so they survive restarts and can be revoked.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES || '480', 10);
+const SESSION_MAX_HOURS = parseInt(process.env.SESSION_MAX_HOURS || '168', 10);
+
+const scryptAsync = (password, salt, keylen, options) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, options, (err, key) => err ? reject(err) : resolve(key));
+});
+
+const isPasswordHash = (value) => typeof value === 'string' && value.startsWith('scrypt$');
+
+async function hashPassword(password) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const key = await scryptAsync(String(password), salt, SCRYPT_KEYLEN, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    if (password == null || !stored) return false;
+
+    // Rows created before hashing was introduced still hold the plaintext
+    if (!isPasswordHash(stored)) {
+        const a = Buffer.from(String(password));
+        const b = Buffer.from(stored);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(key, expected);
+}
+
+// Passwords arriving from the desktop app may be plaintext; never store them as such
+const toPasswordHash = async (password) => {
+    if (password == null || password === '') return null;
+    return isPasswordHash(password) ? password : hashPassword(password);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Ends an account's sessions, except the session of keepToken. Its open event streams are
+// ended separately (endLiveStreams), once a surrounding transaction has committed.
+async function revokeSessions(db, adminId, keepToken = null) {
+    const keepHash = keepToken ? hashToken(keepToken) : null;
+    await db.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL AND token_hash IS DISTINCT FROM $2',
+        [adminId, keepHash]
+    );
+}
+
+function endLiveStreams(adminId, keepToken = null) {
+    liveClients.forEach(client => {
+        if (client.user.id === adminId && client.token !== keepToken) client.res.end();
+    });
+}
+
+async function createSession(user, req) {
+    const token = 'sess_' + crypto.randomBytes(32).toString('base64url');
+    await pool.query(`
+        INSERT INTO sessions (token_hash, admin_id, tenant_id, expires_at, user_agent, ip)
+        VALUES ($1, $2, $3, NOW() + make_interval(hours => $4), $5, $6)
+    `, [hashToken(token), user.id, user.tenant_id, SESSION_MAX_HOURS, req.headers['user-agent'] || null, req.ip]);
+    return token;
+}
+
+// Resolve a bearer token to its admin, enforcing idle and absolute expiry
+async function findSession(token) {
+    const result = await pool.query(`
+        SELECT s.token_hash, s.last_seen_at,
+               a.id, a.tenant_id, a.username, a.name, a.role, a.must_change_password,
+               ARRAY(SELECT ab.branch_id FROM admin_branches ab WHERE ab.admin_id = a.id ORDER BY ab.branch_id) as branch_ids
+        FROM sessions s
+        JOIN admins a ON a.id = s.admin_id
+        WHERE s.token_hash = $1
+          AND s.revoked_at IS NULL
+          AND s.expires_at > NOW()
+          AND s.last_seen_at > NOW() - make_interval(mins => $2)
+          AND a.disabled_at IS NULL
+    `, [hashToken(token), SESSION_IDLE_MINUTES]);
+
+    const session = result.rows[0];
+    if (!session) return null;
+
+    // Sliding idle window; skip the write when the session was touched in the last minute
+    if (Date.now() - new Date(session.last_seen_at).getTime() > 60 * 1000) {
+        await pool.query('UPDATE sessions SET last_seen_at = NOW() WHERE token_hash = $1', [session.token_hash]);
+    }
+
+    const { token_hash, last_seen_at, ...user } = session;
+    return user;
+}
+
+// --- Roles ---
+// admin: everything incl. user management; auditor: read-only over all branches with
+// amounts revealed; supervisor: read-only, limited to the branches assigned in admin_branches.
+const ROLES = {
+    admin: { allBranches: true, canManage: true, revealAmounts: false },
+    auditor: { allBranches: true, canManage: false, revealAmounts: true },
+    supervisor: { allBranches: false, canManage: false, revealAmounts: false }
+};
+
+// Unknown roles get the most restricted permissions
+const permissionsFor = (user) => ROLES[user.role] || ROLES.supervisor;
+
+const canSeeBranch = (user, branchId) =>
+    permissionsFor(user).allBranches || user.branch_ids.includes(Number(branchId));
+
+// What a session that must change its password can still reach
+const PASSWORD_CHANGE_PATHS = ['/api/me', '/api/me/password', '/api/logout'];
+
 // Authentication Middleware ---
-const authMiddleware = (req, res, next) => {
-    const publicPaths = ['/login', '/api/login', '/', '/api/sync/push', '/api/config', '/api/reset-data'];
+const authMiddleware = async (req, res, next) => {
+    const publicPaths = ['/login', '/api/login', '/', '/api/sync/push', '/api/sync/pull', '/api/config'];
     if (publicPaths.includes(req.path) || req.path.startsWith('/css') || req.path.startsWith('/js')) {
         return next();
     }
 
+    // Platform routes carry their own key (see platformAuth)
+    if (req.path.startsWith('/api/platform/')) {
+        return next();
+    }
+
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith('Bearer ')) {
         const token = authHeader.substring(7);
-        if (sessions.has(token)) {
-            req.user = sessions.get(token);
-            return next();
+        try {
+            const user = await findSession(token);
+            // A password set by an admin must be replaced before anything else
+            if (user && user.must_change_password && req.path.startsWith('/api/') && !PASSWORD_CHANGE_PATHS.includes(req.path)) {
+                return res.status(403).json({ error: 'Password change required', mustChangePassword: true });
+            }
+            if (user) {
+                req.user = user;
+                req.sessionToken = token;
+                return next();
+            }
+        } catch (err) {
+            console.error('Session lookup failed:', err);
+            return res.status(500).json({ error: 'Session lookup failed' });
         }
     }
 
@@ -87,6 +482,14 @@ const authMiddleware = (req, res, next) => {
 
 app.use(authMiddleware);
 
+// Route guard for endpoints reserved to some roles
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+};
+
 // --- Routes ---
 
 // Views
@@ -95,15 +498,40 @@ app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'views', 'dashboard
 
 // API: Login
 app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
+    const { username, password, tenant } = req.body;
     try {
-        const result = await pool.query('SELECT * FROM admins WHERE username = $1', [username]);
+        // The company code is only needed when the username exists in several tenants
+        const result = await pool.query(`
+            SELECT a.*, t.name as tenant_name, t.code as tenant_code
+            FROM admins a
+            JOIN tenants t ON a.tenant_id = t.id
+            WHERE a.username = $1 AND ($2::text IS NULL OR t.code = $2)
+        `, [username, tenant || null]);
+
+        if (result.rows.length > 1) {
+            return res.status(401).json({ success: false, message: 'Company code required', tenantRequired: true });
+        }
+
         const user = result.rows[0];
 
-        if (user && user.password === password) { // Note: Use bcrypt in production
-            const token = 'sess_' + Math.random().toString(36).substr(2) + Date.now().toString(36);
-            sessions.set(token, user);
-            res.json({ success: true, token, user: { name: user.name, username: user.username } });
+        if (user && await verifyPassword(password, user.password)) {
+            if (user.disabled_at) {
+                return res.status(403).json({ success: false, message: 'Account disabled', disabled: true });
+            }
+
+            // Upgrade a legacy plaintext password on first successful login
+            if (!isPasswordHash(user.password)) {
+                await pool.query('UPDATE admins SET password = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+            }
+
+            await pool.query('DELETE FROM sessions WHERE expires_at < NOW() OR revoked_at < NOW() - INTERVAL \'1 day\'');
+            const token = await createSession(user, req);
+            res.json({
+                success: true,
+                token,
+                user: { name: user.name, username: user.username, tenant: user.tenant_name, role: user.role },
+                mustChangePassword: user.must_change_password
+            });
         } else {
             res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
@@ -112,584 +540,3816 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
-// API: Sync Endpoint (Receives Data from Desktop App)
-app.post('/api/sync/push', async (req, res) => {
-    const { apiKey, data } = req.body;
+// API: Current user with effective permissions
+app.get('/api/me', (req, res) => {
+    const { id, username, name, role, branch_ids, must_change_password } = req.user;
+    res.json({
+        id, username, name, role,
+        branchIds: branch_ids,
+        mustChangePassword: must_change_password,
+        permissions: permissionsFor(req.user)
+    });
+});
 
-    // Simple API Key check
-    if (apiKey !== process.env.SYNC_API_KEY) {
-        return res.status(403).json({ error: 'Invalid API Key' });
+// API: Logout (revokes the current session token)
+app.post('/api/logout', async (req, res) => {
+    try {
+        await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE token_hash = $1', [hashToken(req.sessionToken)]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
+// --- Sync Protocol ---
+// The desktop app pushes deltas: only rows changed since the last acknowledged push,
+// plus explicit tombstones (`deleted`) for rows removed locally. Every push is stamped
+// with a new server cursor which is returned to the client and stored on each row.
+// Each entity lists the expected type of its `fields` and the `required` ones: records
+// that do not match are left out of the push and kept in sync_quarantine for review.
+const SYNC_BATCH_SIZE = 50;
 
-        // 0. Sync Admins (Users)
-        if (data.admins) {
-            for (const admin of data.admins) {
-                // We sync by username as unique key, updating password and name
-                await client.query(`
-                    INSERT INTO admins (username, password, name)
-                    VALUES ($1, $2, $3)
-                    ON CONFLICT (username) DO UPDATE SET 
-                    password = EXCLUDED.password,
-                    name = EXCLUDED.name
-                `, [admin.username, admin.password, admin.name || admin.username]);
+const SYNC_ENTITIES = [
+    {
+        key: 'branches',
+        table: 'branches',
+        columns: ['id', 'branch_name', 'is_active'],
+        updateColumns: ['branch_name', 'is_active'],
+        fields: { id: 'integer', branch_name: 'text', is_active: 'integer' },
+        required: ['id', 'branch_name'],
+        toRow: b => [b.id, b.branch_name, b.is_active]
+    },
+    {
+        key: 'cashiers',
+        table: 'cashiers',
+        columns: ['id', 'name', 'cashier_number', 'branch_id', 'active'],
+        updateColumns: ['name', 'branch_id', 'active'],
+        fields: { id: 'integer', name: 'text', cashier_number: 'text', branch_id: 'integer', active: 'integer' },
+        required: ['id', 'name'],
+        toRow: c => [c.id, c.name, c.cashier_number, c.branch_id, c.active]
+    },
+    {
+        key: 'accountants',
+        table: 'accountants',
+        columns: ['id', 'name', 'username'],
+        updateColumns: ['name'],
+        fields: { id: 'integer', name: 'text', username: 'text' },
+        required: ['id'],
+        toRow: a => [a.id, a.name, a.username]
+    },
+    {
+        key: 'reconciliations',
+        table: 'reconciliations',
+        audited: true,
+        columns: [
+            'id', 'reconciliation_number', 'cashier_id', 'accountant_id',
+            'reconciliation_date', 'system_sales', 'total_receipts',
+            'surplus_deficit', 'status', 'notes'
+        ],
+        updateColumns: [
+            'status', 'reconciliation_number', 'cashier_id', 'accountant_id',
+            'reconciliation_date', 'system_sales', 'total_receipts',
+            'surplus_deficit', 'notes'
+        ],
+        fields: {
+            id: 'integer', reconciliation_number: 'integer', cashier_id: 'integer', accountant_id: 'integer',
+            reconciliation_date: 'date', system_sales: 'number', total_receipts: 'number',
+            surplus_deficit: 'number', status: 'text', notes: 'text'
+        },
+        required: ['id', 'reconciliation_number', 'cashier_id', 'reconciliation_date', 'status'],
+        toRow: r => [
+            r.id, r.reconciliation_number, r.cashier_id, r.accountant_id,
+            r.reconciliation_date, r.system_sales, r.total_receipts,
+            r.surplus_deficit, r.status, r.notes
+        ]
+    },
+    {
+        key: 'bankReceipts',
+        table: 'bank_receipts',
+        audited: true,
+        columns: ['id', 'reconciliation_id', 'bank_name', 'amount', 'operation_type', 'terminal_id', 'reference_number'],
+        updateColumns: ['reconciliation_id', 'bank_name', 'amount', 'operation_type', 'terminal_id', 'reference_number'],
+        fields: {
+            id: 'integer', reconciliation_id: 'integer', bank_name: 'text', operation_type: 'text',
+            terminal_id: 'text', reference_number: 'text', amount: 'number'
+        },
+        required: ['id', 'reconciliation_id', 'amount'],
+        toRow: br => [
+            br.id, br.reconciliation_id, br.bank_name || null, br.amount,
+            br.operation_type || null, br.terminal_id || null, br.reference_number || null
+        ]
+    },
+    {
+        key: 'cashReceipts',
+        table: 'cash_receipts',
+        audited: true,
+        columns: ['id', 'reconciliation_id', 'amount', 'notes', 'denomination', 'quantity'],
+        updateColumns: ['reconciliation_id', 'amount', 'notes', 'denomination', 'quantity'],
+        fields: {
+            id: 'integer', reconciliation_id: 'integer', amount: 'number', total_amount: 'number',
+            denomination: 'number', quantity: 'integer', notes: 'text'
+        },
+        required: ['id', 'reconciliation_id'],
+        // Denomination rows: the total is computed when the desktop only sends the count
+        toRow: cr => {
+            const denomination = isMissing(cr.denomination) ? null : Number(cr.denomination);
+            const quantity = isMissing(cr.quantity) ? null : Number(cr.quantity);
+            let amount = parseFloat(cr.total_amount || cr.amount || 0);
+            if (!amount && denomination !== null && quantity !== null) {
+                amount = denomination * quantity;
             }
+            return [cr.id, cr.reconciliation_id, amount, cr.notes || null, denomination, quantity];
         }
+    }
+];
 
-        // 1. Sync Cashiers
-        if (data.cashiers) {
-            for (const c of data.cashiers) {
-                await client.query(`
-                    INSERT INTO cashiers (id, name, cashier_number, branch_id, active)
-                    VALUES ($1, $2, $3, $4, $5)
-                    ON CONFLICT (id) DO UPDATE SET 
-                    name = EXCLUDED.name, branch_id = EXCLUDED.branch_id, active = EXCLUDED.active
-                `, [c.id, c.name, c.cashier_number, c.branch_id, c.active]);
-            }
-        }
+// Children removed together with their reconciliation
+const RECONCILIATION_CHILDREN = ['bank_receipts', 'cash_receipts'];
 
-        // 2. Sync Branches
-        if (data.branches) {
-            for (const b of data.branches) {
-                await client.query(`
-                    INSERT INTO branches (id, branch_name, is_active)
-                    VALUES ($1, $2, $3)
-                    ON CONFLICT (id) DO UPDATE SET 
-                    branch_name = EXCLUDED.branch_name, is_active = EXCLUDED.is_active
-                `, [b.id, b.branch_name, b.is_active]);
-            }
-        }
+// Desktop users, validated like the entities above but keyed by username
+const SYNC_ADMINS = {
+    key: 'admins',
+    idField: 'username',
+    redact: ['password'], // never copied to the quarantine
+    fields: { username: 'text', password: 'text', name: 'text' },
+    required: ['username', 'password']
+};
 
-        // 3. Sync Accountants
-        if (data.accountants) {
-            for (const a of data.accountants) {
-                await client.query(`
-                    INSERT INTO accountants (id, name, username)
-                    VALUES ($1, $2, $3)
-                    ON CONFLICT (id) DO UPDATE SET 
-                    name = EXCLUDED.name
-                `, [a.id, a.name, a.username]);
-            }
-        }
+const INT4_MAX = 2147483647;
+const NUMERIC_MAX = 1e13; // DECIMAL(15,2)
 
-        // 4. Sync Reconciliations
-        let trulyNewReconciliations = [];
+// Field type checks: each returns the rejection reason, or null when the value is fine
+const SYNC_FIELD_TYPES = {
+    integer: value => {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+        return Number.isInteger(number) && Math.abs(number) <= INT4_MAX ? null : 'must be an integer';
+    },
+    number: value => {
+        const number = typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return 'must be a number';
+        return Math.abs(number) < NUMERIC_MAX ? null : 'is out of range';
+    },
+    text: value => typeof value === 'string' || typeof value === 'number' ? null : 'must be a string',
+    date: value => {
+        const match = typeof value === 'string' &&
+            /^(\d{4})-(\d{2})-(\d{2})([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.exec(value.trim());
+        if (!match) return 'must be a date (YYYY-MM-DD)';
+        const [year, month, day] = match.slice(1, 4).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? null : 'is not a valid date';
+    }
+};
 
-        if (data.reconciliations) {
-            const recIds = data.reconciliations.map(r => r.id);
-
-            // OPTIMIZATION: Check for NEW or JUST COMPLETED reconciliations (Using ANY for speed)
-            if (recIds.length > 0) {
-                // Get existing status to compare using ANY($1) - ultra fast
-                const existRes = await client.query('SELECT id, status FROM reconciliations WHERE id = ANY($1)', [recIds]);
-                const existingMap = new Map();
-                existRes.rows.forEach(row => existingMap.set(row.id, row.status));
-
-                trulyNewReconciliations = data.reconciliations.filter(r =>
-                    r.status === 'completed' &&
-                    // Notify if: It's new OR it wasn't completed before
-                    (!existingMap.has(r.id) || existingMap.get(r.id) !== 'completed')
-                );
-            }
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
 
-            // 1. DELETE logic First (Cleanup before heavy lifting)
-            if (recIds.length > 0) {
-                await client.query('DELETE FROM reconciliations WHERE NOT (id = ANY($1))', [recIds]);
-            } else {
-                await client.query('DELETE FROM reconciliations');
-            }
+// Field errors of one pushed record ([] when it can be applied)
+function validateSyncRecord(entity, record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return [{ field: null, reason: 'must be an object' }];
+    }
 
-            // CRITICAL FIX: Commit deletions IMMEDIATELY. 
-            // This prevents rollbacks if the subsequent heavy insert loop times out.
-            await client.query('COMMIT');
-            await client.query('BEGIN'); // Start new transaction for inserts
-
-            // BATCH PROCESSING: Bulk Insert/Update in chunks of 50
-            const BATCH_SIZE = 50;
-            for (let i = 0; i < data.reconciliations.length; i += BATCH_SIZE) {
-                const batch = data.reconciliations.slice(i, i + BATCH_SIZE);
-                const values = [];
-                const valueSets = [];
-                let paramIndex = 1;
-
-                for (const r of batch) {
-                    valueSets.push(`($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9})`);
-                    values.push(
-                        r.id, r.reconciliation_number, r.cashier_id, r.accountant_id,
-                        r.reconciliation_date, r.system_sales, r.total_receipts,
-                        r.surplus_deficit, r.status, r.notes
-                    );
-                    paramIndex += 10;
-                }
+    const errors = [];
+    for (const [field, type] of Object.entries(entity.fields)) {
+        const value = record[field];
+        if (isMissing(value)) {
+            if (entity.required.includes(field)) errors.push({ field, reason: 'is required' });
+            continue;
+        }
+        const reason = SYNC_FIELD_TYPES[type](value);
+        if (reason) errors.push({ field, reason });
+    }
+    return errors;
+}
 
-                const query = `
-                    INSERT INTO reconciliations (
-                            id, reconciliation_number, cashier_id, accountant_id, 
-                            reconciliation_date, system_sales, total_receipts, 
-                            surplus_deficit, status, notes
-                    ) VALUES ${valueSets.join(', ')}
-                    ON CONFLICT (id) DO UPDATE SET 
-                        status = EXCLUDED.status,
-                        reconciliation_number = EXCLUDED.reconciliation_number,
-                        cashier_id = EXCLUDED.cashier_id,
-                        accountant_id = EXCLUDED.accountant_id,
-                        reconciliation_date = EXCLUDED.reconciliation_date,
-                        system_sales = EXCLUDED.system_sales,
-                        total_receipts = EXCLUDED.total_receipts,
-                        surplus_deficit = EXCLUDED.surplus_deficit,
-                        notes = EXCLUDED.notes
-                `;
-
-                await client.query(query, values);
-            }
+// A valid record with its integer fields as numbers ("5" is accepted for 5), so ids compare
+// and dedupe the same way whatever the desktop app sent
+function normalizeSyncRecord(entity, record) {
+    const normalized = { ...record };
+    for (const [field, type] of Object.entries(entity.fields)) {
+        if (type === 'integer' && !isMissing(record[field])) normalized[field] = Number(record[field]);
+    }
+    return normalized;
+}
+
+// Rejects a push whose shape is wrong as a whole (the records themselves are checked one by one)
+function checkSyncPayload(data, deleted) {
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(data)) return '`data` must be an object';
+    if (!isObject(deleted)) return '`deleted` must be an object';
+
+    for (const { key } of [SYNC_ADMINS, ...SYNC_ENTITIES]) {
+        if (data[key] !== undefined && !Array.isArray(data[key])) return `data.${key} must be an array`;
+    }
+    for (const { key } of SYNC_ENTITIES) {
+        const ids = deleted[key];
+        if (ids === undefined) continue;
+        if (!Array.isArray(ids) || ids.some(id => SYNC_FIELD_TYPES.integer(id))) {
+            return `deleted.${key} must be an array of integer ids`;
         }
+    }
+    return null;
+}
 
+// Splits the pushed records into the ones to apply and the rejected ones.
+// Receipts of a rejected reconciliation are rejected with it, so they never point at a stale parent.
+// That includes reconciliations still quarantined from an earlier push, unless this push fixes them.
+function validateSyncData(data, quarantinedReconciliations = []) {
+    const accepted = {};
+    const rejected = [];
+    const rejectedReconciliations = new Set(quarantinedReconciliations);
 
-        // 5. Sync Bank Receipts
-        if (data.bankReceipts) {
-            const brIds = data.bankReceipts.map(br => br.id);
+    for (const entity of [SYNC_ADMINS, ...SYNC_ENTITIES]) {
+        if (!Array.isArray(data[entity.key])) continue;
+        accepted[entity.key] = [];
 
-            // 1. DELETE logic First
-            if (brIds.length > 0) {
-                await client.query('DELETE FROM bank_receipts WHERE NOT (id = ANY($1))', [brIds]);
-            } else {
-                await client.query('DELETE FROM bank_receipts');
+        for (const record of data[entity.key]) {
+            const errors = validateSyncRecord(entity, record);
+            if (errors.length === 0 && record.reconciliation_id != null &&
+                rejectedReconciliations.has(Number(record.reconciliation_id))) {
+                errors.push({ field: 'reconciliation_id', reason: 'reconciliation was rejected' });
             }
-            await client.query('COMMIT'); // Commit delete
-            await client.query('BEGIN');  // Begin inserts
-
-            // BATCH PROCESSING: Bulk Insert/Update
-            const BATCH_SIZE = 50;
-            for (let i = 0; i < data.bankReceipts.length; i += BATCH_SIZE) {
-                const batch = data.bankReceipts.slice(i, i + BATCH_SIZE);
-                const values = [];
-                const valueSets = [];
-                let paramIndex = 1;
-
-                for (const br of batch) {
-                    const opType = br.operation_type || br.bank_name || 'عملية بنكية';
-                    valueSets.push(`($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3})`);
-                    values.push(br.id, br.reconciliation_id, opType, br.amount);
-                    paramIndex += 4;
-                }
 
-                const query = `
-                    INSERT INTO bank_receipts (id, reconciliation_id, bank_name, amount)
-                    VALUES ${valueSets.join(', ')}
-                    ON CONFLICT (id) DO UPDATE SET 
-                        reconciliation_id = EXCLUDED.reconciliation_id,
-                        bank_name = EXCLUDED.bank_name,
-                        amount = EXCLUDED.amount
-                `;
-                await client.query(query, values);
+            if (errors.length === 0) {
+                if (entity.key === 'reconciliations') rejectedReconciliations.delete(Number(record.id));
+                accepted[entity.key].push(normalizeSyncRecord(entity, record));
+                continue;
             }
+            const isRecord = record && typeof record === 'object';
+            const id = isRecord ? record[entity.idField || 'id'] ?? null : null;
+            if (entity.key === 'reconciliations' && !SYNC_FIELD_TYPES.integer(id)) rejectedReconciliations.add(Number(id));
+
+            const kept = isRecord && entity.redact ? { ...record } : record;
+            (entity.redact || []).forEach(field => { if (isRecord) delete kept[field]; });
+            rejected.push({ entity: entity.key, id, record: kept, errors });
         }
+    }
+    return { accepted, rejected };
+}
 
-        // 6. Send Notifications (ONLY for truly new items)
-        if (trulyNewReconciliations && trulyNewReconciliations.length > 0) {
-            const count = trulyNewReconciliations.length;
-            const lastRec = trulyNewReconciliations[0];
+// Ids of the tenant's reconciliations waiting in quarantine that the pushed receipts point at
+async function findQuarantinedReconciliations(tenantId, data) {
+    const ids = RECONCILIATION_CHILDREN
+        .map(table => SYNC_ENTITIES.find(entity => entity.table === table))
+        .flatMap(entity => Array.isArray(data[entity.key]) ? data[entity.key] : [])
+        .map(record => record && typeof record === 'object' ? record.reconciliation_id : null)
+        .filter(id => !SYNC_FIELD_TYPES.integer(id))
+        .map(Number);
+    if (ids.length === 0) return [];
 
-            // Get cashier name from database
-            let cashierName = 'الكاشير';
-            try {
-                const cashierRes = await client.query('SELECT name FROM cashiers WHERE id = $1', [lastRec.cashier_id]);
-                if (cashierRes.rows.length > 0) {
-                    cashierName = cashierRes.rows[0].name;
-                }
-            } catch (e) {
-                console.error('Error getting cashier name:', e);
-            }
+    const result = await pool.query(`
+        SELECT entity_id FROM sync_quarantine
+        WHERE tenant_id = $1 AND entity = 'reconciliations' AND status = 'pending' AND entity_id = ANY($2)
+    `, [tenantId, [...new Set(ids)]]);
+    return result.rows.map(row => row.entity_id);
+}
 
-            const msg = count === 1
-                ? `تصفية جديدة #${lastRec.reconciliation_number} من ${cashierName}`
-                : `تم إضافة ${count} تصفيات جديدة`;
+// Keeps rejected records for review: a record rejected again updates its open entry
+async function quarantineRecords(client, tenantId, deviceId, cursor, rejected) {
+    if (rejected.length === 0) return;
 
-            // Fire and forget notification
-            sendNotification('تصفية جديدة 💰', msg).catch(console.error);
-        }
+    // One entry per record, the same record twice in one statement would fail the upsert
+    const entries = new Map();
+    rejected.forEach((item, index) => {
+        const entityId = SYNC_FIELD_TYPES.integer(item.id) ? null : Number(item.id);
+        entries.set(entityId === null ? `#${index}` : `${item.entity}:${entityId}`, {
+            entity: item.entity,
+            entity_id: entityId,
+            record: item.record ?? null,
+            errors: item.errors
+        });
+    });
 
-        // 7. Sync Cash Receipts
-        if (data.cashReceipts) {
+    await client.query(`
+        INSERT INTO sync_quarantine (tenant_id, device_id, sync_version, entity, entity_id, record, errors)
+        SELECT $1, $2, $3, x.entity, x.entity_id, COALESCE(x.record, 'null'::jsonb), x.errors
+        FROM jsonb_to_recordset($4) AS x(entity TEXT, entity_id INTEGER, record JSONB, errors JSONB)
+        ON CONFLICT (tenant_id, entity, entity_id) WHERE status = 'pending' DO UPDATE SET
+            device_id = EXCLUDED.device_id,
+            sync_version = EXCLUDED.sync_version,
+            record = EXCLUDED.record,
+            errors = EXCLUDED.errors,
+            times_seen = sync_quarantine.times_seen + 1,
+            last_seen_at = NOW()
+    `, [tenantId, deviceId, cursor, JSON.stringify([...entries.values()])]);
+}
 
-            const crIds = data.cashReceipts.map(cr => cr.id);
+// Open quarantine entries are resolved once the record is pushed again valid, or deleted
+async function resolveQuarantine(client, tenantId, entityKey, ids) {
+    if (ids.length === 0) return;
+    await client.query(`
+        UPDATE sync_quarantine SET status = 'resolved', reviewed_at = NOW()
+        WHERE tenant_id = $1 AND entity = $2 AND entity_id = ANY($3::int[]) AND status = 'pending'
+    `, [tenantId, entityKey, ids.map(Number)]);
+}
 
-            // 1. DELETE logic First
-            if (crIds.length > 0) {
-                await client.query('DELETE FROM cash_receipts WHERE NOT (id = ANY($1))', [crIds]);
-            } else {
-                await client.query('DELETE FROM cash_receipts');
-            }
-            await client.query('COMMIT'); // Commit delete
-            await client.query('BEGIN');  // Begin inserts
-
-            // BATCH PROCESSING: Bulk Insert/Update
-            const BATCH_SIZE = 50;
-            for (let i = 0; i < data.cashReceipts.length; i += BATCH_SIZE) {
-                const batch = data.cashReceipts.slice(i, i + BATCH_SIZE);
-                const values = [];
-                const valueSets = [];
-                let paramIndex = 1;
-
-                for (const cr of batch) {
-                    const amount = parseFloat(cr.total_amount || cr.amount || 0);
-                    let note = cr.notes;
-                    if (!note && cr.denomination) {
-                        note = `فئة ${cr.denomination}`;
-                    }
-
-                    valueSets.push(`($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3})`);
-                    values.push(cr.id, cr.reconciliation_id, amount, note);
-                    paramIndex += 4;
-                }
+// Tables whose row changes are kept in row_history, with the columns compared
+const AUDITED_COLUMNS = Object.fromEntries(
+    SYNC_ENTITIES.filter(entity => entity.audited).map(entity => [entity.table, entity.columns])
+);
 
-                const query = `
-                    INSERT INTO cash_receipts (id, reconciliation_id, amount, notes)
-                    VALUES ${valueSets.join(', ')}
-                    ON CONFLICT (id) DO UPDATE SET 
-                        reconciliation_id = EXCLUDED.reconciliation_id,
-                        amount = EXCLUDED.amount,
-                        notes = EXCLUDED.notes
-                `;
-                await client.query(query, values);
-            }
-        }
+const sameValue = (a, b) => (a == null ? null : String(a)) === (b == null ? null : String(b));
 
-        // 5. Sync Admin (Optional, to ensure login works)
-        if (data.admins) {
-            for (const a of data.admins) {
-                // Only sync if not exists to avoid overwriting cloud password if changed
-                const check = await client.query('SELECT id FROM admins WHERE username = $1', [a.username]);
-                if (check.rowCount === 0) {
-                    await client.query('INSERT INTO admins (username, password, name) VALUES ($1, $2, $3)', [a.username, a.password, a.name]);
-                }
-            }
+// Appends one row_history entry per inserted, changed or deleted row ({ column: [old, new] })
+async function recordRowHistory(client, tenantId, table, cursor, pairs) {
+    const columns = AUDITED_COLUMNS[table].filter(col => col !== 'id');
+    const entries = [];
+
+    for (const { before, after } of pairs) {
+        const changes = {};
+        for (const col of columns) {
+            const oldValue = before ? before[col] : null;
+            const newValue = after ? after[col] : null;
+            if (!sameValue(oldValue, newValue)) changes[col] = [oldValue, newValue];
         }
+        if (Object.keys(changes).length === 0) continue;
 
-        await client.query('COMMIT');
+        const row = after || before;
+        entries.push({
+            entity_id: row.id,
+            reconciliation_id: table === 'reconciliations' ? row.id : row.reconciliation_id,
+            action: !before ? 'insert' : !after ? 'delete' : 'update',
+            changes
+        });
+    }
+    if (entries.length === 0) return 0;
 
-        // 6. Send Notifications (Moved AFTER commit to ensure data is saved first)
-        if (trulyNewReconciliations && trulyNewReconciliations.length > 0) {
-            const count = trulyNewReconciliations.length;
-            const lastRec = trulyNewReconciliations[0];
+    await client.query(`
+        INSERT INTO row_history (tenant_id, sync_version, entity, entity_id, reconciliation_id, action, changes)
+        SELECT $1, $2, $3, x.entity_id, x.reconciliation_id, x.action, x.changes
+        FROM jsonb_to_recordset($4) AS x(entity_id INTEGER, reconciliation_id INTEGER, action TEXT, changes JSONB)
+    `, [tenantId, cursor, table, JSON.stringify(entries)]);
+    return entries.length;
+}
 
-            // Get cashier name (we need to query this separately now or assume it's valid)
-            // Since we committed, we can query safely or just use what we have.
-            // For simplicity and speed, let's just send the alert.
-            // To get the name properly, we can do a quick check or just say "New Reconciliation"
-            // Or better, since we have the data in 'trulyNewReconciliations', we can use it.
-            // But we need the cashier NAME. 
-            // We can do a quick query here since it's after commit, it won't block the transaction.
-            let cashierName = 'الكاشير';
-            try {
-                const cRes = await pool.query('SELECT name FROM cashiers WHERE id = $1', [lastRec.cashier_id]);
-                if (cRes.rows.length > 0) cashierName = cRes.rows[0].name;
-            } catch (e) { console.error('Error getting cashier name for notify:', e); }
+// Bulk Insert/Update in chunks, stamping every row with the cursor of this push
+async function upsertRows(client, tenantId, entity, records, cursor) {
+    // The same id twice in one INSERT ... ON CONFLICT fails the statement, keep the last copy
+    const byId = new Map();
+    records.forEach(record => byId.set(record.id, record));
+    const rows = [...byId.values()].map(entity.toRow);
 
-            const msg = count === 1
-                ? `تصفية جديدة #${lastRec.reconciliation_number} من ${cashierName}`
-                : `تم إضافة ${count} تصفيات جديدة`;
+    const columns = ['tenant_id', ...entity.columns, 'sync_version', 'updated_at'];
+    const updates = [...entity.updateColumns, 'sync_version', 'updated_at']
+        .map(col => `${col} = EXCLUDED.${col}`)
+        .join(', ');
 
-            // Fire and forget notification
-            sendNotification('تصفية جديدة 💰', msg).catch(console.error);
+    for (let i = 0; i < rows.length; i += SYNC_BATCH_SIZE) {
+        const batch = rows.slice(i, i + SYNC_BATCH_SIZE);
+        const values = [];
+        const valueSets = batch.map(row => {
+            const placeholders = [tenantId, ...row, cursor].map(value => {
+                values.push(value);
+                return `$${values.length}`;
+            });
+            return `(${placeholders.join(', ')}, NOW())`;
+        });
+
+        // Audited tables: read the current rows first so the change can be recorded
+        let before = null;
+        if (entity.audited) {
+            const ids = batch.map(row => row[0]);
+            const current = await client.query(
+                `SELECT ${entity.columns.join(', ')} FROM ${entity.table} WHERE tenant_id = $1 AND id = ANY($2)`,
+                [tenantId, ids]
+            );
+            before = new Map(current.rows.map(row => [row.id, row]));
         }
 
-        res.json({ success: true, message: 'Sync successful' });
-    } catch (err) {
-        await client.query('ROLLBACK');
-        console.error(err);
-        res.status(500).json({ error: err.message });
-    } finally {
-        client.release();
+        const result = await client.query(`
+            INSERT INTO ${entity.table} (${columns.join(', ')})
+            VALUES ${valueSets.join(', ')}
+            ON CONFLICT (tenant_id, id) DO UPDATE SET ${updates}
+            ${entity.audited ? `RETURNING ${entity.columns.join(', ')}` : ''}
+        `, values);
+
+        if (entity.audited) {
+            await recordRowHistory(client, tenantId, entity.table, cursor,
+                result.rows.map(after => ({ before: before.get(after.id), after })));
+        }
     }
-});
 
-// API: Emergency Reset - Delete all data (for clean sync)
-app.post('/api/reset-data', async (req, res) => {
-    const { apiKey } = req.body;
+    // A row that comes back after being deleted is no longer a tombstone
+    await client.query(
+        'DELETE FROM sync_tombstones WHERE tenant_id = $1 AND entity = $2 AND entity_id = ANY($3)',
+        [tenantId, entity.table, [...byId.keys()]]
+    );
 
-    if (apiKey !== process.env.SYNC_API_KEY) {
-        return res.status(403).json({ error: 'Invalid API Key' });
-    }
+    return rows.length;
+}
 
-    try {
-        await pool.query('DELETE FROM cash_receipts');
-        await pool.query('DELETE FROM bank_receipts');
-        await pool.query('DELETE FROM reconciliations');
+// Delete rows by id and keep a tombstone so other clients can replay the deletion
+async function deleteRows(client, tenantId, table, ids, cursor) {
+    if (ids.length === 0) return 0;
 
-        res.json({ success: true, message: 'All data deleted. Ready for fresh sync.' });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+    const returning = AUDITED_COLUMNS[table] ? AUDITED_COLUMNS[table].join(', ') : 'id';
+    const result = await client.query(`DELETE FROM ${table} WHERE tenant_id = $1 AND id = ANY($2) RETURNING ${returning}`, [tenantId, ids]);
+    const deletedIds = result.rows.map(row => row.id);
+
+    if (AUDITED_COLUMNS[table]) {
+        await recordRowHistory(client, tenantId, table, cursor, result.rows.map(before => ({ before, after: null })));
     }
-});
 
-// API: Metadata
-app.get('/api/metadata', async (req, res) => {
+    if (deletedIds.length > 0) {
+        await client.query(`
+            INSERT INTO sync_tombstones (tenant_id, entity, entity_id, sync_version, deleted_at)
+            SELECT $1, $2, UNNEST($3::int[]), $4, NOW()
+            ON CONFLICT (tenant_id, entity, entity_id) DO UPDATE SET
+                sync_version = EXCLUDED.sync_version,
+                deleted_at = EXCLUDED.deleted_at
+        `, [tenantId, table, deletedIds, cursor]);
+    }
+
+    return deletedIds.length;
+}
+
+// Appends the outcome of one push to sync_runs (never fails the push itself)
+async function recordSyncRun(run) {
     try {
-        const branches = await pool.query('SELECT id, branch_name FROM branches WHERE is_active = 1');
-        const cashiers = await pool.query('SELECT id, name, cashier_number FROM cashiers WHERE active = 1');
-        res.json({ branches: branches.rows, cashiers: cashiers.rows });
+        await pool.query(`
+            INSERT INTO sync_runs (tenant_id, device_id, status, protocol, source, ip, user_agent, cursor,
+                                   applied, deleted, rejected, error, started_at, finished_at, duration_ms)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), $14)
+        `, [
+            run.tenantId, run.deviceId || null, run.status, run.protocol || null, run.source || null, run.ip, run.userAgent || null,
+            run.cursor || null, JSON.stringify(run.applied || {}), JSON.stringify(run.deleted || {}),
+            run.rejected || 0, run.error || null, run.startedAt, Date.now() - run.startedAt.getTime()
+        ]);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        console.error('Failed to record sync run:', err);
     }
-});
+}
 
-// API: Stats
-app.get('/api/stats', async (req, res) => {
-    try {
-        let whereClause = 'WHERE 1=1';
-        const params = [];
-        let pIndex = 1;
+// --- Live Updates ---
+// Dashboards keep GET /api/events open (Server-Sent Events). After each committed push the
+// server sends a "sync" event naming the reconciliations that changed, limited per connection to
+// the branches its user can see. The browser reads the stream with fetch, so the session token
+// travels in the Authorization header as for every other API call.
+const LIVE_HEARTBEAT_MS = 25 * 1000; // Below the idle timeout of most proxies
+const liveClients = new Set(); // { res, user, token }
 
-        if (req.query.dateFrom) {
-            whereClause += ` AND DATE(reconciliation_date) >= $${pIndex++}`;
-            params.push(req.query.dateFrom);
-        }
-        if (req.query.dateTo) {
-            whereClause += ` AND DATE(reconciliation_date) <= $${pIndex++}`;
-            params.push(req.query.dateTo);
-        }
-        if (req.query.branchId) {
-            whereClause += ` AND cashier_id IN (SELECT id FROM cashiers WHERE branch_id = $${pIndex++})`;
-            params.push(req.query.branchId);
-        }
-        if (req.query.cashierId) {
-            whereClause += ` AND cashier_id = $${pIndex++}`;
-            params.push(req.query.cashierId);
-        }
-        if (req.query.status) {
-            whereClause += ` AND status = $${pIndex++}`;
-            params.push(req.query.status);
-        }
+const writeLiveEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
-        const countRes = await pool.query(`SELECT COUNT(*) as count FROM reconciliations ${whereClause}`, params);
-        const receiptsRes = await pool.query(`SELECT SUM(total_receipts) as sum FROM reconciliations ${whereClause}`, params);
-        const salesRes = await pool.query(`SELECT SUM(system_sales) as sum FROM reconciliations ${whereClause}`, params);
+// Sends the changed reconciliation ids to the tenant's open dashboards
+async function broadcastSyncChanges(tenantId, { cursor, changedIds = [], newIds = [], deletedIds = [], reload = false }) {
+    const clients = [...liveClients].filter(client => client.user.tenant_id === tenantId);
+    if (clients.length === 0 || (changedIds.length === 0 && deletedIds.length === 0 && !reload)) return;
 
-        // Calculate Total Cash (Linked to filtered reconciliations)
-        // We need to join because filters apply to reconciliation properties (date, branch, cashier)
-        let cashQuery = `
-            SELECT SUM(cr.amount) as sum 
-            FROM cash_receipts cr
-            JOIN reconciliations r ON cr.reconciliation_id = r.id
-        `;
-
-        // If we have branch filter, we need to join cashiers too (assuming branch is on cashier)
-        // Actually, let's reuse the whereClause logic but applied to joined tables
-        // The whereClause currently looks like "WHERE 1=1 AND status = $1 ..."
-        // We can adapt it by prefixing column names if needed, or simply use the same logic if column names are unique enough or fully qualified in the main query.
-        // However, 'status', 'reconciliation_date' are in reconciliations. 'cashier_id' is in reconciliations.
-        // So we can just append the same WHERE clause, but we must ensure column ambiguity is resolved if strict mode is on.
-
-        // A safer way is to rebuild the where clause for the specific join or just use the same parameters 
-        // effectively filtering the reconciliations first.
-
-        let cashWhereClause = 'WHERE 1=1';
-        // We need to re-construct where clause with 'r.' prefix for safety
-        if (req.query.dateFrom) cashWhereClause += ` AND DATE(r.reconciliation_date) >= $1`;
-        if (req.query.dateTo) cashWhereClause += ` AND DATE(r.reconciliation_date) <= $2`;
-        // For branch, we need another join
-        if (req.query.branchId) cashWhereClause += ` AND r.cashier_id IN (SELECT id FROM cashiers WHERE branch_id = $3)`;
-        if (req.query.cashierId) cashWhereClause += ` AND r.cashier_id = $4`;
-        if (req.query.status) cashWhereClause += ` AND r.status = $5`;
-
-        // Note: The params array has values in specific order. We use the same params array.
-        // But wait, the $ indices must match the params order.
-        // Since we are running a separate query, we need to make sure the $ indices are correct relative to THIS query.
-        // The simplest way is to reuse the 'whereClause' string but we need to rely on 'reconciliations' table being implicitly or explicitly accessible.
-
-        // Let's rewrite the cash query fully:
-        cashQuery += ` ${whereClause.replace(/reconciliation_date/g, 'r.reconciliation_date')
-            .replace(/cashier_id/g, 'r.cashier_id')
-            .replace(/status/g, 'r.status')}`;
-
-        // The subquery for branch in whereClause: `... cashier_id IN ...` works fine as is.
-
-        const cashRes = await pool.query(cashQuery, params);
+    const branchRes = await pool.query(`
+        SELECT r.id, c.branch_id
+        FROM reconciliations r
+        LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+        WHERE r.tenant_id = $1 AND r.id = ANY($2)
+    `, [tenantId, changedIds]);
 
-        res.json({
-            totalReconciliations: countRes.rows[0].count,
-            totalReceipts: receiptsRes.rows[0].sum || 0,
-            totalSales: salesRes.rows[0].sum || 0,
-            totalCash: cashRes.rows[0].sum || 0
+    for (const client of clients) {
+        const visible = branchRes.rows.filter(row => canSeeBranch(client.user, row.branch_id)).map(row => row.id);
+        if (visible.length === 0 && deletedIds.length === 0 && !reload) continue;
+        writeLiveEvent(client.res, 'sync', {
+            cursor,
+            reload,
+            changed: visible,
+            created: newIds.filter(id => visible.includes(id)),
+            deleted: deletedIds // Rows already gone: the ids alone reveal nothing
         });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
     }
-});
+}
 
-// API: Reports
-app.get('/api/reports', async (req, res) => {
-    try {
-        let sql = `
-            SELECT r.*,
-                   c.name as cashier_name,
-                   c.cashier_number,
-                   a.name as accountant_name,
-                   b.branch_name
-            FROM reconciliations r
-            JOIN cashiers c ON r.cashier_id = c.id
-            JOIN accountants a ON r.accountant_id = a.id
-            LEFT JOIN branches b ON c.branch_id = b.id
-            ${'WHERE 1=1'}
-        `;
+// API: Event stream of the current session
+app.get('/api/events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    writeLiveEvent(res, 'ready', { at: new Date().toISOString() });
 
-        const params = [];
-        let pIndex = 1;
+    const client = { res, user: req.user, token: req.sessionToken };
+    liveClients.add(client);
+    req.on('close', () => liveClients.delete(client));
+});
 
-        if (req.query.dateFrom) {
-            sql += ` AND DATE(r.reconciliation_date) >= $${pIndex++}`;
-            params.push(req.query.dateFrom);
-        }
-        if (req.query.dateTo) {
-            sql += ` AND DATE(r.reconciliation_date) <= $${pIndex++}`;
-            params.push(req.query.dateTo);
-        }
-        if (req.query.status) {
-            sql += ` AND r.status = $${pIndex++}`;
-            params.push(req.query.status);
-        }
-        if (req.query.branchId) {
-            sql += ` AND c.branch_id = $${pIndex++}`;
-            params.push(req.query.branchId);
-        }
-        if (req.query.cashierId) {
-            sql += ` AND r.cashier_id = $${pIndex++}`;
-            params.push(req.query.cashierId);
-        }
+setInterval(() => {
+    liveClients.forEach(client => client.res.write(': ping\n\n'));
+}, LIVE_HEARTBEAT_MS).unref();
 
-        sql += ' ORDER BY r.reconciliation_number DESC LIMIT 100';
+// API: Sync Endpoint (Receives Data from Desktop App)
+app.post('/api/sync/push', async (req, res) => {
+    const startedAt = new Date();
+    const { cursor: clientCursor, watermark } = req.body;
+    const data = req.body.data || {};
+    const deleted = req.body.deleted || {};
 
-        const result = await pool.query(sql, params);
-        res.json(result.rows);
+    // The sync key identifies the tenant the data belongs to (and the device, if registered)
+    let auth;
+    try {
+        auth = await authenticateSync(req);
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: err.message });
+        return res.status(500).json({ error: err.message });
     }
-});
+    if (auth.error) {
+        return res.status(auth.status).json({ error: auth.error });
+    }
+    const tenantId = auth.tenant.id;
+    const deviceId = auth.device ? auth.device.id : null;
 
-// API: Get Single Report Details
-app.get('/api/reports/:id', async (req, res) => {
-    try {
-        const id = req.params.id;
+    const logRun = (status, details) => recordSyncRun({
+        tenantId,
+        deviceId,
+        status,
+        startedAt,
+        protocol: req.body.protocol,
+        source: req.body.source,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        ...details
+    });
 
-        // Get reconciliation with joins
-        const recQuery = `
-            SELECT r.*,
-                   c.name as cashier_name,
-                   c.cashier_number,
-                   a.name as accountant_name,
-                   b.branch_name
+    const payloadError = checkSyncPayload(data, deleted);
+    if (payloadError) {
+        logRun('error', { error: payloadError });
+        return res.status(400).json({ error: payloadError });
+    }
+
+    // Invalid records are set aside; the rest of the push is applied as usual
+    let quarantinedReconciliations;
+    try {
+        quarantinedReconciliations = await findQuarantinedReconciliations(tenantId, data);
+    } catch (err) {
+        logRun('error', { error: err.message });
+        return res.status(500).json({ error: err.message });
+    }
+    const { accepted, rejected } = validateSyncData(data, quarantinedReconciliations);
+    if (rejected.length > 0) {
+        console.warn(`⚠️ Sync push: ${rejected.length} record(s) rejected by validation`);
+    }
+
+    if (!req.body.protocol) {
+        // Old desktop builds send full snapshots; rows missing from them are no longer deleted
+        console.warn('⚠️ Legacy sync push without protocol version (upsert only, no deletions)');
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Lock the tenant's sync state row: its pushes are applied one at a time
+        await client.query('INSERT INTO sync_state (tenant_id) VALUES ($1) ON CONFLICT (tenant_id) DO NOTHING', [tenantId]);
+        const stateRes = await client.query('SELECT cursor FROM sync_state WHERE tenant_id = $1 FOR UPDATE', [tenantId]);
+        const serverCursor = Number(stateRes.rows[0].cursor);
+
+        // The client has seen a cursor we never issued (database restored or reset)
+        if (clientCursor != null && Number(clientCursor) > serverCursor) {
+            await client.query('ROLLBACK');
+            logRun('conflict', { error: `Client cursor ${clientCursor} is ahead of ${serverCursor}` });
+            return res.status(409).json({
+                error: 'Sync cursor is ahead of the server, a full push is required',
+                resync: true,
+                cursor: serverCursor
+            });
+        }
+
+        const cursor = serverCursor + 1;
+
+        // 0. Sync Admins (Users), following the tenant's password policy (see Admin Accounts)
+        const revokedAdmins = accepted.admins ? await syncDesktopAdmins(client, tenantId, accepted.admins) : [];
+
+        // Check for NEW or JUST COMPLETED reconciliations before they are overwritten
+        let trulyNewReconciliations = [];
+        const pushedReconciliations = accepted.reconciliations || [];
+
+        if (pushedReconciliations.length > 0) {
+            const recIds = pushedReconciliations.map(r => r.id);
+            const existRes = await client.query('SELECT id, status FROM reconciliations WHERE tenant_id = $1 AND id = ANY($2)', [tenantId, recIds]);
+            const existingMap = new Map();
+            existRes.rows.forEach(row => existingMap.set(row.id, row.status));
+
+            trulyNewReconciliations = pushedReconciliations.filter(r =>
+                r.status === 'completed' &&
+                // Notify if: It's new OR it wasn't completed before
+                (!existingMap.has(r.id) || existingMap.get(r.id) !== 'completed')
+            );
+        }
+
+        // 1. Upsert changed rows
+        const applied = {};
+        for (const entity of SYNC_ENTITIES) {
+            const records = accepted[entity.key];
+            if (Array.isArray(records) && records.length > 0) {
+                applied[entity.key] = await upsertRows(client, tenantId, entity, records, cursor);
+                await resolveQuarantine(client, tenantId, entity.key, records.map(record => record.id));
+            }
+        }
+
+        // 2. Apply explicit tombstones, children first
+        const removed = {};
+        for (const entity of [...SYNC_ENTITIES].reverse()) {
+            const ids = deleted[entity.key];
+            if (!Array.isArray(ids) || ids.length === 0) continue;
+
+            if (entity.table === 'reconciliations') {
+                for (const childTable of RECONCILIATION_CHILDREN) {
+                    const childRes = await client.query(`SELECT id FROM ${childTable} WHERE tenant_id = $1 AND reconciliation_id = ANY($2)`, [tenantId, ids]);
+                    await deleteRows(client, tenantId, childTable, childRes.rows.map(row => row.id), cursor);
+                }
+            }
+
+            removed[entity.key] = await deleteRows(client, tenantId, entity.table, ids, cursor);
+            await resolveQuarantine(client, tenantId, entity.key, ids);
+        }
+
+        await quarantineRecords(client, tenantId, deviceId, cursor, rejected);
+
+        await client.query(`
+            UPDATE sync_state SET
+                cursor = $1,
+                client_watermark = COALESCE($2, client_watermark),
+                updated_at = NOW()
+            WHERE tenant_id = $3
+        `, [cursor, watermark || null, tenantId]);
+
+        await client.query('COMMIT');
+        logRun(rejected.length > 0 ? 'partial' : 'success', { cursor, applied, deleted: removed, rejected: rejected.length });
+        revokedAdmins.forEach(adminId => endLiveStreams(adminId));
+
+        // 4. Send Notifications (AFTER commit to ensure data is saved first)
+        if (trulyNewReconciliations.length > 0) {
+            const count = trulyNewReconciliations.length;
+            const lastRec = trulyNewReconciliations[0];
+
+            // Quick query for the cashier name, after commit so it won't block the transaction
+            let cashierName = 'الكاشير';
+            try {
+                const cRes = await pool.query('SELECT name FROM cashiers WHERE tenant_id = $1 AND id = $2', [tenantId, lastRec.cashier_id]);
+                if (cRes.rows.length > 0) cashierName = cRes.rows[0].name;
+            } catch (e) { console.error('Error getting cashier name for notify:', e); }
+
+            const msg = count === 1
+                ? `تصفية جديدة #${lastRec.reconciliation_number} من ${cashierName}`
+                : `تم إضافة ${count} تصفيات جديدة`;
+
+            // Fire and forget notification
+            sendNotification(tenantId, 'تصفية جديدة 💰', msg).catch(console.error);
+        }
+
+        // Admin-defined alert rules, for the same new reconciliations (fire and forget as well)
+        if (trulyNewReconciliations.length > 0) {
+            evaluateSyncAlerts(tenantId, trulyNewReconciliations.map(r => r.id))
+                .catch(err => console.error('Alert rules failed:', err));
+        }
+
+        // Open dashboards: reconciliations pushed, or whose receipts were
+        const changedIds = new Set(pushedReconciliations.map(r => r.id));
+        ['bankReceipts', 'cashReceipts'].forEach(key => {
+            (accepted[key] || []).forEach(receipt => changedIds.add(receipt.reconciliation_id));
+        });
+        broadcastSyncChanges(tenantId, {
+            cursor,
+            changedIds: [...changedIds],
+            newIds: trulyNewReconciliations.map(r => r.id),
+            deletedIds: (deleted.reconciliations || []).map(Number)
+        }).catch(err => console.error('Live update failed:', err));
+
+        scheduleIntegrityCheck(tenantId);
+
+        res.json({
+            success: true,
+            message: 'Sync successful',
+            cursor,
+            watermark: watermark || null,
+            applied,
+            deleted: removed,
+            // One entry per invalid field of each record left out of this push
+            rejected: rejected.flatMap(item => item.errors.map(error => ({
+                entity: item.entity,
+                id: item.id,
+                field: error.field,
+                reason: error.reason
+            })))
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(err);
+        logRun('error', { error: err.message });
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+// --- Sync Pull ---
+// Restoring a desktop install (or setting up a second one) reads the cloud copy back in pages.
+// Pages follow the push order (parents before children) and carry rows in the push format.
+// `sinceCursor` (the `cursor` returned by an earlier pull or push) is exact; `since` filters by
+// update time instead. Tombstones of the requested range come with the first page.
+const SYNC_PULL_PAGE_SIZE = 500;
+const SYNC_PULL_MAX_PAGE_SIZE = 2000;
+
+const encodePullPage = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+// The token comes back from the client: every field is checked as the first page checks its input
+const isCursorValue = (value) => Number.isSafeInteger(value) && value >= 0;
+
+const decodePullPage = (token) => {
+    try {
+        const state = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+        const validId = state.afterId === null || (Number.isInteger(state.afterId) && Math.abs(state.afterId) <= INT4_MAX);
+        // `since` was written with toISOString(), anything else has been tampered with
+        const validSince = state.since === null ||
+            (typeof state.since === 'string' && !isNaN(Date.parse(state.since)) && new Date(state.since).toISOString() === state.since);
+        const validCursors = (state.sinceCursor === null || isCursorValue(state.sinceCursor)) && isCursorValue(state.cursor);
+        return Number.isInteger(state.entity) && state.entity >= 0 && validId && validSince && validCursors ? state : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Row as /api/sync/push accepts it: numeric columns come back from pg as strings
+const toPushRecord = (entity, row) => {
+    const record = {};
+    for (const col of entity.columns) {
+        record[col] = entity.fields[col] === 'number' && row[col] !== null ? Number(row[col]) : row[col];
+    }
+    return record;
+};
+
+// API: Sync Pull (Sends cloud data back to a desktop app)
+app.post('/api/sync/pull', async (req, res) => {
+    const { page } = req.body;
+    const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || SYNC_PULL_PAGE_SIZE, 1), SYNC_PULL_MAX_PAGE_SIZE);
+
+    try {
+        const auth = await authenticateSync(req);
+        if (auth.error) {
+            return res.status(auth.status).json({ error: auth.error });
+        }
+        const { tenant } = auth;
+
+        let state;
+        let deleted = {};
+        if (page) {
+            state = decodePullPage(page);
+            if (!state) return res.status(400).json({ error: 'Invalid page token' });
+        } else {
+            const since = req.body.since ? new Date(req.body.since) : null;
+            if (since && isNaN(since.getTime())) {
+                return res.status(400).json({ error: 'since must be an ISO timestamp' });
+            }
+            const sinceCursor = req.body.sinceCursor != null ? Number(req.body.sinceCursor) : null;
+            if (sinceCursor !== null && (!Number.isInteger(sinceCursor) || sinceCursor < 0)) {
+                return res.status(400).json({ error: 'sinceCursor must be a non-negative integer' });
+            }
+
+            const stateRes = await pool.query('SELECT cursor FROM sync_state WHERE tenant_id = $1', [tenant.id]);
+            state = {
+                entity: 0,
+                afterId: null,
+                since: since ? since.toISOString() : null,
+                sinceCursor,
+                cursor: stateRes.rows.length > 0 ? Number(stateRes.rows[0].cursor) : 0
+            };
+
+            // A full pull has nothing to delete, only incremental pulls replay tombstones
+            if (since || sinceCursor !== null) {
+                const tombRes = await pool.query(`
+                    SELECT entity, entity_id FROM sync_tombstones
+                    WHERE tenant_id = $1
+                      AND ($2::timestamptz IS NULL OR deleted_at > $2)
+                      AND ($3::bigint IS NULL OR sync_version > $3)
+                    ORDER BY entity_id
+                `, [tenant.id, state.since, state.sinceCursor]);
+                for (const entity of SYNC_ENTITIES) {
+                    const ids = tombRes.rows.filter(row => row.entity === entity.table).map(row => row.entity_id);
+                    if (ids.length > 0) deleted[entity.key] = ids;
+                }
+            }
+        }
+
+        const data = {};
+        let remaining = limit;
+        while (state.entity < SYNC_ENTITIES.length && remaining > 0) {
+            const entity = SYNC_ENTITIES[state.entity];
+            const result = await pool.query(`
+                SELECT ${entity.columns.join(', ')} FROM ${entity.table}
+                WHERE tenant_id = $1
+                  AND ($2::int IS NULL OR id > $2)
+                  AND ($3::timestamptz IS NULL OR updated_at > $3)
+                  AND ($4::bigint IS NULL OR sync_version > $4)
+                ORDER BY id
+                LIMIT $5
+            `, [tenant.id, state.afterId, state.since, state.sinceCursor, remaining]);
+
+            if (result.rows.length > 0) {
+                data[entity.key] = result.rows.map(row => toPushRecord(entity, row));
+            }
+            if (result.rows.length < remaining) {
+                state.entity += 1;
+                state.afterId = null;
+            } else {
+                state.afterId = result.rows[result.rows.length - 1].id;
+            }
+            remaining -= result.rows.length;
+        }
+
+        res.json({
+            success: true,
+            protocol: 2,
+            cursor: state.cursor,
+            data,
+            deleted,
+            next: state.entity < SYNC_ENTITIES.length ? encodePullPage(state) : null
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Recent sync runs of the tenant (?status=success|partial|conflict|error, ?deviceId)
+app.get('/api/sync/runs', requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT r.id, r.status, r.protocol, r.source, r.ip, r.user_agent, r.cursor, r.applied, r.deleted,
+                   r.rejected, r.error, r.started_at, r.finished_at, r.duration_ms,
+                   r.device_id, d.name AS device_name
+            FROM sync_runs r
+            LEFT JOIN sync_devices d ON d.id = r.device_id
+            WHERE r.tenant_id = $1
+              AND ($2::text IS NULL OR r.status = $2)
+              AND ($3::int IS NULL OR r.device_id = $3)
+            ORDER BY r.id DESC
+            LIMIT 100
+        `, [req.user.tenant_id, req.query.status || null, req.query.deviceId || null]);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Records rejected by sync validation (?status=pending|resolved|dismissed, default pending)
+app.get('/api/sync/quarantine', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT q.id, q.sync_version, q.entity, q.entity_id, q.record, q.errors, q.status, q.times_seen,
+                   q.created_at, q.last_seen_at, q.reviewed_at, a.username AS reviewed_by, d.name AS device_name
+            FROM sync_quarantine q
+            LEFT JOIN admins a ON a.tenant_id = q.tenant_id AND a.id = q.reviewed_by
+            LEFT JOIN sync_devices d ON d.id = q.device_id
+            WHERE q.tenant_id = $1 AND q.status = $2
+            ORDER BY q.last_seen_at DESC
+            LIMIT 200
+        `, [req.user.tenant_id, req.query.status || 'pending']);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Dismiss a quarantined record once it has been reviewed
+app.post('/api/sync/quarantine/:id/dismiss', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE sync_quarantine SET status = 'dismissed', reviewed_by = $1, reviewed_at = NOW()
+            WHERE tenant_id = $2 AND id = $3 AND status = 'pending'
+        `, [req.user.id, req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Quarantined record not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Registered sync devices, with their latest push and open quarantine entries
+app.get('/api/sync/devices', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT d.id, d.name, d.key_prefix, d.created_at, d.rotated_at, d.revoked_at, d.last_seen_at, d.last_ip,
+                   a.username AS created_by, lr.status AS last_run_status, lr.started_at AS last_run_at,
+                   (SELECT COUNT(*)::int FROM sync_quarantine q
+                    WHERE q.device_id = d.id AND q.status = 'pending') AS pending_rejections
+            FROM sync_devices d
+            LEFT JOIN admins a ON a.tenant_id = d.tenant_id AND a.id = d.created_by
+            LEFT JOIN LATERAL (
+                SELECT status, started_at FROM sync_runs r WHERE r.device_id = d.id ORDER BY r.id DESC LIMIT 1
+            ) lr ON TRUE
+            WHERE d.tenant_id = $1
+            ORDER BY d.revoked_at IS NOT NULL, d.name
+        `, [req.user.tenant_id]);
+        res.json({
+            policy: await getSetting(req.user.tenant_id, 'sync_devices', SYNC_DEVICE_DEFAULTS),
+            devices: result.rows
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Register a device; its key is returned once and only its hash is kept
+app.post('/api/sync/devices', requireRole('admin'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+
+    try {
+        const key = generateDeviceKey();
+        const result = await pool.query(`
+            INSERT INTO sync_devices (tenant_id, name, key_hash, key_prefix, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, name, key_prefix, created_at
+        `, [req.user.tenant_id, name, hashSyncKey(key), key.slice(0, 8), req.user.id]);
+        res.json({ success: true, device: result.rows[0], key });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Replace a device's key (the old one stops working immediately)
+app.post('/api/sync/devices/:id/rotate', requireRole('admin'), async (req, res) => {
+    try {
+        const key = generateDeviceKey();
+        const result = await pool.query(`
+            UPDATE sync_devices SET key_hash = $1, key_prefix = $2, rotated_at = NOW()
+            WHERE tenant_id = $3 AND id = $4 AND revoked_at IS NULL
+        `, [hashSyncKey(key), key.slice(0, 8), req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Device not found or revoked' });
+        }
+        res.json({ success: true, key });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Lock a device out for good (other devices keep syncing)
+app.post('/api/sync/devices/:id/revoke', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE sync_devices SET revoked_at = NOW()
+            WHERE tenant_id = $1 AND id = $2 AND revoked_at IS NULL
+        `, [req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Device not found or already revoked' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Whether the shared tenant key is still accepted for sync
+app.put('/api/settings/sync-devices', requireRole('admin'), async (req, res) => {
+    const requireDeviceKey = req.body.requireDeviceKey === true;
+
+    try {
+        if (requireDeviceKey) {
+            // Refuse to lock every install out at once
+            const active = await pool.query(
+                'SELECT 1 FROM sync_devices WHERE tenant_id = $1 AND revoked_at IS NULL LIMIT 1',
+                [req.user.tenant_id]
+            );
+            if (active.rowCount === 0) {
+                return res.status(400).json({ error: 'Register at least one device before requiring device keys' });
+            }
+        }
+        await saveSetting(req.user.tenant_id, 'sync_devices', { requireDeviceKey });
+        res.json({ success: true, policy: { requireDeviceKey } });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Data Reset & Snapshots ---
+// A reset deletes the tenant's reconciliations and receipts so the desktop app can push
+// everything again. It takes two calls from an admin: the first returns a short-lived
+// confirmation token, the second archives the rows in data_snapshots and deletes them.
+// Any snapshot can be restored later (the current rows are archived first).
+const SNAPSHOT_TABLES = ['cash_receipts', 'bank_receipts', 'reconciliations']; // Children first
+const RESET_TOKEN_MINUTES = 5;
+const resetTokens = new Map(); // token -> { tenantId, adminId, expiresAt }
+
+const countSnapshotRows = async (tenantId) => {
+    const counts = {};
+    for (const table of SNAPSHOT_TABLES) {
+        const result = await pool.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE tenant_id = $1`, [tenantId]);
+        counts[table] = result.rows[0].count;
+    }
+    return counts;
+};
+
+// Copies the tenant's rows into a new snapshot (inside the caller's transaction)
+async function createSnapshot(client, tenantId, reason, adminId) {
+    const tables = SNAPSHOT_TABLES.map(table => `
+        '${table}', (SELECT COALESCE(jsonb_agg(to_jsonb(t) - 'tenant_id' ORDER BY t.id), '[]'::jsonb)
+                     FROM ${table} t WHERE t.tenant_id = $1)
+    `).join(', ');
+
+    const result = await client.query(`
+        INSERT INTO data_snapshots (tenant_id, reason, data, counts, created_by)
+        SELECT $1, $2, d.data,
+               (SELECT jsonb_object_agg(key, jsonb_array_length(value)) FROM jsonb_each(d.data)),
+               $3
+        FROM (SELECT jsonb_build_object(${tables}) AS data) d
+        RETURNING id, counts
+    `, [tenantId, reason, adminId]);
+    return result.rows[0];
+}
+
+// Puts the tenant's rows back as they were in a snapshot, stamped with a new sync cursor so pulls
+// pick them up: rows added since are deleted (with tombstones), the archived ones upserted back.
+// Both are recorded in row_history like any other change.
+async function restoreSnapshot(client, tenantId, snapshotId) {
+    await client.query('INSERT INTO sync_state (tenant_id) VALUES ($1) ON CONFLICT (tenant_id) DO NOTHING', [tenantId]);
+    const stateRes = await client.query('SELECT cursor FROM sync_state WHERE tenant_id = $1 FOR UPDATE', [tenantId]);
+    const cursor = Number(stateRes.rows[0].cursor) + 1;
+    const restored = {};
+    const removed = {};
+
+    const snapshotIds = async (table) => {
+        const result = await client.query(`
+            SELECT (e->>'id')::int AS id
+            FROM data_snapshots s, jsonb_array_elements(s.data->'${table}') e
+            WHERE s.id = $2 AND s.tenant_id = $1
+        `, [tenantId, snapshotId]);
+        return result.rows.map(row => row.id);
+    };
+
+    for (const table of SNAPSHOT_TABLES) {
+        const extraRes = await client.query(
+            `SELECT id FROM ${table} WHERE tenant_id = $1 AND id <> ALL($2::int[])`,
+            [tenantId, await snapshotIds(table)]
+        );
+        removed[table] = await deleteRows(client, tenantId, table, extraRes.rows.map(row => row.id), cursor);
+    }
+
+    for (const table of [...SNAPSHOT_TABLES].reverse()) {
+        // Columns both in the table today and in the archived rows (the schema may have changed since)
+        const colRes = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = $1
+              AND (column_name IN ('tenant_id', 'sync_version', 'updated_at') OR column_name IN (
+                  SELECT DISTINCT jsonb_object_keys(e)
+                  FROM data_snapshots s, jsonb_array_elements(s.data->$1) e
+                  WHERE s.id = $2
+              ))
+        `, [table, snapshotId]);
+        const columns = colRes.rows.map(row => row.column_name);
+        const updates = columns.filter(col => col !== 'tenant_id' && col !== 'id')
+            .map(col => `${col} = EXCLUDED.${col}`).join(', ');
+        const audited = AUDITED_COLUMNS[table];
+
+        let before = new Map();
+        if (audited) {
+            const current = await client.query(
+                `SELECT ${audited.join(', ')} FROM ${table} WHERE tenant_id = $1 AND id = ANY($2::int[])`,
+                [tenantId, await snapshotIds(table)]
+            );
+            before = new Map(current.rows.map(row => [row.id, row]));
+        }
+
+        const result = await client.query(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            SELECT ${columns.join(', ')}
+            FROM jsonb_populate_recordset(NULL::${table}, (
+                SELECT jsonb_agg(e || jsonb_build_object('tenant_id', $1::int, 'sync_version', $3::bigint, 'updated_at', NOW()))
+                FROM data_snapshots s, jsonb_array_elements(s.data->'${table}') e
+                WHERE s.id = $2 AND s.tenant_id = $1
+            ))
+            ON CONFLICT (tenant_id, id) DO UPDATE SET ${updates}
+            RETURNING ${audited ? audited.join(', ') : 'id'}
+        `, [tenantId, snapshotId, cursor]);
+
+        if (audited) {
+            await recordRowHistory(client, tenantId, table, cursor,
+                result.rows.map(after => ({ before: before.get(after.id), after })));
+        }
+        const ids = result.rows.map(row => row.id);
+        await client.query(
+            'DELETE FROM sync_tombstones WHERE tenant_id = $1 AND entity = $2 AND entity_id = ANY($3)',
+            [tenantId, table, ids]
+        );
+        restored[table] = ids.length;
+    }
+
+    await client.query('UPDATE sync_state SET cursor = $1, updated_at = NOW() WHERE tenant_id = $2', [cursor, tenantId]);
+    return { restored, removed };
+}
+
+// API: Reset step 1 - what would be deleted, and the token that confirms it
+app.post('/api/reset-data/request', requireRole('admin'), async (req, res) => {
+    try {
+        const now = Date.now();
+        for (const [token, pending] of resetTokens) {
+            if (pending.expiresAt < now) resetTokens.delete(token);
+        }
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = now + RESET_TOKEN_MINUTES * 60 * 1000;
+        resetTokens.set(token, { tenantId: req.user.tenant_id, adminId: req.user.id, expiresAt });
+
+        res.json({
+            token,
+            expiresAt: new Date(expiresAt).toISOString(),
+            counts: await countSnapshotRows(req.user.tenant_id)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Reset step 2 - archive then delete all reconciliations and receipts (for clean sync)
+app.post('/api/reset-data', requireRole('admin'), async (req, res) => {
+    const { token } = req.body;
+    const pending = token ? resetTokens.get(token) : null;
+    if (!pending || pending.expiresAt < Date.now() ||
+        pending.tenantId !== req.user.tenant_id || pending.adminId !== req.user.id) {
+        return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+    resetTokens.delete(token);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Wait for any push in progress so the snapshot holds everything that gets deleted
+        await client.query('INSERT INTO sync_state (tenant_id) VALUES ($1) ON CONFLICT (tenant_id) DO NOTHING', [req.user.tenant_id]);
+        const stateRes = await client.query('SELECT cursor FROM sync_state WHERE tenant_id = $1 FOR UPDATE', [req.user.tenant_id]);
+        const cursor = Number(stateRes.rows[0].cursor) + 1;
+
+        // Deleted like a push would, with tombstones at a new cursor so incremental pulls see it
+        const snapshot = await createSnapshot(client, req.user.tenant_id, 'reset', req.user.id);
+        for (const table of SNAPSHOT_TABLES) {
+            const idsRes = await client.query(`SELECT id FROM ${table} WHERE tenant_id = $1`, [req.user.tenant_id]);
+            await deleteRows(client, req.user.tenant_id, table, idsRes.rows.map(row => row.id), cursor);
+        }
+        await client.query('UPDATE sync_state SET cursor = $1, updated_at = NOW() WHERE tenant_id = $2', [cursor, req.user.tenant_id]);
+        await client.query('COMMIT');
+
+        console.log(`🗑️ Data reset by ${req.user.username} (tenant ${req.user.tenant_id}), snapshot #${snapshot.id}`);
+        broadcastSyncChanges(req.user.tenant_id, { reload: true }).catch(err => console.error('Live update failed:', err));
+        runIntegrityCheck(req.user.tenant_id, 'reset', req.user.id).catch(err => console.error('Integrity check failed:', err));
+        res.json({
+            success: true,
+            message: 'All data deleted. Ready for fresh sync.',
+            snapshotId: snapshot.id,
+            counts: snapshot.counts
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+// API: Archived snapshots of the tenant (without their rows)
+app.get('/api/snapshots', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT s.id, s.reason, s.counts, s.created_at, s.restored_at,
+                   c.username AS created_by, r.username AS restored_by
+            FROM data_snapshots s
+            LEFT JOIN admins c ON c.tenant_id = s.tenant_id AND c.id = s.created_by
+            LEFT JOIN admins r ON r.tenant_id = s.tenant_id AND r.id = s.restored_by
+            WHERE s.tenant_id = $1
+            ORDER BY s.id DESC
+        `, [req.user.tenant_id]);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Restore a snapshot (the current rows are archived first, so this can be undone too)
+app.post('/api/snapshots/:id/restore', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const found = await client.query(
+            'SELECT id FROM data_snapshots WHERE tenant_id = $1 AND id = $2 FOR UPDATE',
+            [req.user.tenant_id, req.params.id]
+        );
+        if (found.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        const backup = await createSnapshot(client, req.user.tenant_id, 'pre-restore', req.user.id);
+        const { restored, removed } = await restoreSnapshot(client, req.user.tenant_id, found.rows[0].id);
+        await client.query(
+            'UPDATE data_snapshots SET restored_by = $1, restored_at = NOW() WHERE id = $2',
+            [req.user.id, found.rows[0].id]
+        );
+        await client.query('COMMIT');
+
+        console.log(`♻️ Snapshot #${found.rows[0].id} restored by ${req.user.username} (tenant ${req.user.tenant_id})`);
+        broadcastSyncChanges(req.user.tenant_id, { reload: true }).catch(err => console.error('Live update failed:', err));
+        runIntegrityCheck(req.user.tenant_id, 'restore', req.user.id).catch(err => console.error('Integrity check failed:', err));
+        res.json({ success: true, restored, removed, backupSnapshotId: backup.id });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !SYNC_FIELD_TYPES.date(value);
+
+// Guards the endpoints built on buildReportFilters: a dateFrom/dateTo that is not a real date
+// is a 400 here instead of a failed query
+const checkReportDates = (req, res, next) => {
+    const invalid = ['dateFrom', 'dateTo'].find(key => req.query[key] && !isDateString(req.query[key]));
+    if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be a date (YYYY-MM-DD)` });
+    }
+    next();
+};
+
+// Build the WHERE clause shared by the report endpoints (reconciliations aliased as "r").
+// $1 is always the session's tenant, so callers can keep appending parameters after it.
+// Branch restrictions of the session user are applied here, whatever the query asks for.
+function buildReportFilters(req) {
+    const params = [req.user.tenant_id];
+    let where = 'WHERE r.tenant_id = $1';
+
+    if (!permissionsFor(req.user).allBranches) {
+        params.push(req.user.branch_ids);
+        where += ` AND r.cashier_id IN (SELECT id FROM cashiers WHERE tenant_id = $1 AND branch_id = ANY($${params.length}))`;
+    }
+
+    if (req.query.dateFrom) {
+        params.push(req.query.dateFrom);
+        where += ` AND DATE(r.reconciliation_date) >= $${params.length}`;
+    }
+    if (req.query.dateTo) {
+        params.push(req.query.dateTo);
+        where += ` AND DATE(r.reconciliation_date) <= $${params.length}`;
+    }
+    if (req.query.branchId) {
+        params.push(req.query.branchId);
+        where += ` AND r.cashier_id IN (SELECT id FROM cashiers WHERE tenant_id = $1 AND branch_id = $${params.length})`;
+    }
+    if (req.query.cashierId) {
+        params.push(req.query.cashierId);
+        where += ` AND r.cashier_id = $${params.length}`;
+    }
+    if (req.query.status) {
+        params.push(req.query.status);
+        where += ` AND r.status = $${params.length}`;
+    }
+    // Free-text search over reconciliation number, cashier name and notes
+    const search = String(req.query.search || '').trim().replace(/^#/, '');
+    if (search) {
+        params.push(`%${search.replace(/[\\%_]/g, ch => '\\' + ch)}%`);
+        const p = `$${params.length}`;
+        where += ` AND (CAST(r.reconciliation_number AS TEXT) ILIKE ${p}
+            OR r.notes ILIKE ${p}
+            OR r.cashier_id IN (SELECT id FROM cashiers WHERE tenant_id = $1 AND name ILIKE ${p}))`;
+    }
+
+    return { where, params };
+}
+
+// Sortable report columns (query value => SQL expression)
+const REPORT_SORTS = {
+    number: 'r.reconciliation_number',
+    date: 'r.reconciliation_date',
+    cashier: 'c.name',
+    receipts: 'r.total_receipts',
+    sales: 'r.system_sales',
+    surplus: 'r.surplus_deficit'
+};
+
+// ORDER BY for the report list; unknown columns fall back to the newest reconciliations first
+function buildReportOrder(req) {
+    const column = REPORT_SORTS[req.query.sort] || REPORT_SORTS.number;
+    const dir = req.query.dir === 'asc' ? 'ASC' : 'DESC';
+    return `ORDER BY ${column} ${dir} NULLS LAST, r.id ${dir}`;
+}
+
+// API: Metadata
+app.get('/api/metadata', async (req, res) => {
+    try {
+        const tenantId = req.user.tenant_id;
+        // NULL means no branch restriction
+        const branchIds = permissionsFor(req.user).allBranches ? null : req.user.branch_ids;
+
+        const branches = await pool.query(`
+            SELECT id, branch_name FROM branches
+            WHERE tenant_id = $1 AND is_active = 1 AND ($2::int[] IS NULL OR id = ANY($2))
+        `, [tenantId, branchIds]);
+        const cashiers = await pool.query(`
+            SELECT id, name, cashier_number, branch_id FROM cashiers
+            WHERE tenant_id = $1 AND active = 1 AND ($2::int[] IS NULL OR branch_id = ANY($2))
+        `, [tenantId, branchIds]);
+        res.json({ branches: branches.rows, cashiers: cashiers.rows });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Stats
+// Totals shown on the dashboard cards, for a { where, params } from buildReportFilters
+async function queryStats({ where, params }) {
+    const totalsRes = await pool.query(`
+        SELECT COUNT(*) as count,
+               SUM(r.total_receipts) as receipts,
+               SUM(r.system_sales) as sales,
+               SUM(r.surplus_deficit) as surplus_deficit
+        FROM reconciliations r
+        ${where}
+    `, params);
+
+    // Total Cash (Linked to filtered reconciliations)
+    const cashRes = await pool.query(`
+        SELECT SUM(cr.amount) as sum
+        FROM cash_receipts cr
+        JOIN reconciliations r ON cr.tenant_id = r.tenant_id AND cr.reconciliation_id = r.id
+        ${where}
+    `, params);
+
+    const totals = totalsRes.rows[0];
+    return {
+        totalReconciliations: totals.count,
+        totalReceipts: totals.receipts || 0,
+        totalSales: totals.sales || 0,
+        totalCash: cashRes.rows[0].sum || 0,
+        netSurplusDeficit: totals.surplus_deficit || 0
+    };
+}
+
+// The queryStats totals per branch (digests and the branch comparison)
+async function queryBranchStats({ where, params }) {
+    const result = await pool.query(`
+        SELECT c.branch_id as id, b.branch_name as name,
+               COUNT(*) as count,
+               SUM(r.system_sales) as sales,
+               SUM(r.total_receipts) as receipts,
+               SUM(r.surplus_deficit) as surplus_deficit,
+               SUM((SELECT SUM(cr.amount) FROM cash_receipts cr
+                    WHERE cr.tenant_id = r.tenant_id AND cr.reconciliation_id = r.id)) as cash
+        FROM reconciliations r
+        LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+        LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+        ${where}
+        GROUP BY 1, 2
+        ORDER BY sales DESC NULLS LAST
+    `, params);
+    return result.rows.map(row => toNumbers(row, ['count', 'sales', 'receipts', 'surplus_deficit', 'cash']));
+}
+
+// --- Period Comparison ---
+// /api/stats and /api/stats/branches take an optional comparison period (compareFrom/compareTo).
+// dateFrom/dateTo are then the base period; the other filters apply to both periods.
+const COMPARED_STATS = ['totalReconciliations', 'totalSales', 'totalReceipts', 'totalCash', 'netSurplusDeficit'];
+const COMPARED_BRANCH_STATS = ['count', 'sales', 'receipts', 'cash', 'surplus_deficit'];
+
+// Comparison period of the request: { period } (null when not comparing) or { error }
+function readComparison(req) {
+    const { compareFrom, compareTo } = req.query;
+    if (!compareFrom && !compareTo) return { period: null };
+    if (!isDateString(compareFrom) || !isDateString(compareTo)) {
+        return { error: 'compareFrom and compareTo must both be dates (YYYY-MM-DD)' };
+    }
+    if (compareFrom > compareTo) return { error: 'compareFrom must not be after compareTo' };
+    return { period: { from: compareFrom, to: compareTo } };
+}
+
+const comparisonFilters = (req, period) => buildReportFilters({
+    user: req.user,
+    query: { ...req.query, dateFrom: period.from, dateTo: period.to }
+});
+
+// Change from the comparison period to the base period; percent is null when the comparison value is 0
+function periodDeltas(base, comparison, keys) {
+    const deltas = {};
+    keys.forEach(key => {
+        const current = Number(base[key] || 0);
+        const previous = Number(comparison[key] || 0);
+        deltas[key] = {
+            absolute: Math.round((current - previous) * 100) / 100,
+            percent: previous ? Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10 : null
+        };
+    });
+    return deltas;
+}
+
+app.get('/api/stats', checkReportDates, async (req, res) => {
+    const { period, error } = readComparison(req);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const stats = await queryStats(buildReportFilters(req));
+        if (period) {
+            const previous = await queryStats(comparisonFilters(req, period));
+            stats.comparison = { ...period, stats: previous, deltas: periodDeltas(stats, previous, COMPARED_STATS) };
+        }
+        res.json(stats);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Stats per branch, each row with its comparison figures and deltas when comparing
+app.get('/api/stats/branches', checkReportDates, async (req, res) => {
+    const { period, error } = readComparison(req);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const branches = await queryBranchStats(buildReportFilters(req));
+        if (!period) return res.json({ comparison: null, branches });
+
+        const previous = await queryBranchStats(comparisonFilters(req, period));
+        // A branch with no reconciliations in one of the periods counts as zero there
+        const empty = (row) => ({ id: row.id, name: row.name, count: 0, sales: 0, receipts: 0, surplus_deficit: 0, cash: 0 });
+        const rows = [...branches, ...previous.filter(row => !branches.some(branch => branch.id === row.id)).map(empty)];
+
+        res.json({
+            comparison: period,
+            branches: rows.map(row => {
+                const before = previous.find(other => other.id === row.id) || empty(row);
+                return { ...row, comparison: before, deltas: periodDeltas(row, before, COMPARED_BRANCH_STATS) };
+            })
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Analytics ---
+// Grouped versions of /api/stats for the charts; all take the same filters.
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+const analyticsInterval = (req) => ANALYTICS_INTERVALS.includes(req.query.interval) ? req.query.interval : 'day';
+
+const toNumbers = (row, keys) => {
+    keys.forEach(key => { row[key] = Number(row[key] || 0); });
+    return row;
+};
+
+// API: Time series of sales, receipts and surplus/deficit (?interval=day|week|month)
+app.get('/api/analytics/series', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+        const interval = analyticsInterval(req);
+
+        const result = await pool.query(`
+            SELECT to_char(date_trunc('${interval}', DATE(r.reconciliation_date)), 'YYYY-MM-DD') as period,
+                   COUNT(*) as count,
+                   SUM(r.system_sales) as system_sales,
+                   SUM(r.total_receipts) as total_receipts,
+                   SUM(r.surplus_deficit) as surplus_deficit
+            FROM reconciliations r
+            ${where}
+            GROUP BY 1
+            ORDER BY 1
+        `, params);
+
+        res.json({
+            interval,
+            rows: result.rows.map(row => toNumbers(row, ['count', 'system_sales', 'total_receipts', 'surplus_deficit']))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Totals per branch or per cashier (?by=branch|cashier)
+app.get('/api/analytics/breakdown', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+        const byCashier = req.query.by === 'cashier';
+
+        const group = byCashier
+            ? { id: 'r.cashier_id', name: 'c.name' }
+            : { id: 'c.branch_id', name: 'b.branch_name' };
+
+        const result = await pool.query(`
+            SELECT ${group.id} as id,
+                   ${group.name} as name,
+                   COUNT(*) as count,
+                   SUM(r.system_sales) as system_sales,
+                   SUM(r.total_receipts) as total_receipts,
+                   SUM(r.surplus_deficit) as surplus_deficit
+            FROM reconciliations r
+            LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+            LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+            ${where}
+            GROUP BY 1, 2
+            ORDER BY total_receipts DESC NULLS LAST
+        `, params);
+
+        res.json({
+            by: byCashier ? 'cashier' : 'branch',
+            rows: result.rows.map(row => toNumbers(row, ['count', 'system_sales', 'total_receipts', 'surplus_deficit']))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Cash vs bank receipts, in total and per period (?interval=day|week|month)
+app.get('/api/analytics/payment-split', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+        const interval = analyticsInterval(req);
+
+        const result = await pool.query(`
+            SELECT to_char(period, 'YYYY-MM-DD') as period, SUM(cash) as cash, SUM(bank) as bank
+            FROM (
+                SELECT date_trunc('${interval}', DATE(r.reconciliation_date)) as period, cr.amount as cash, 0 as bank
+                FROM cash_receipts cr
+                JOIN reconciliations r ON cr.tenant_id = r.tenant_id AND cr.reconciliation_id = r.id
+                ${where}
+                UNION ALL
+                SELECT date_trunc('${interval}', DATE(r.reconciliation_date)), 0, br.amount
+                FROM bank_receipts br
+                JOIN reconciliations r ON br.tenant_id = r.tenant_id AND br.reconciliation_id = r.id
+                ${where}
+            ) receipts
+            GROUP BY 1
+            ORDER BY 1
+        `, params);
+
+        const rows = result.rows.map(row => toNumbers(row, ['cash', 'bank']));
+        res.json({
+            interval,
+            cash: rows.reduce((sum, row) => sum + row.cash, 0),
+            bank: rows.reduce((sum, row) => sum + row.bank, 0),
+            rows
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Bank receipts per bank and per operation type, to check against bank statements
+app.get('/api/analytics/bank-summary', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+
+        const result = await pool.query(`
+            SELECT br.bank_name, br.operation_type,
+                   COUNT(*) as count,
+                   SUM(br.amount) as total
+            FROM bank_receipts br
+            JOIN reconciliations r ON br.tenant_id = r.tenant_id AND br.reconciliation_id = r.id
+            ${where}
+            GROUP BY 1, 2
+            ORDER BY total DESC NULLS LAST
+        `, params);
+        const rows = result.rows.map(row => toNumbers(row, ['count', 'total']));
+
+        const rollUp = (key) => {
+            const groups = new Map();
+            rows.forEach(row => {
+                const group = groups.get(row[key]) || { name: row[key], count: 0, total: 0 };
+                group.count += row.count;
+                group.total += row.total;
+                groups.set(row[key], group);
+            });
+            return [...groups.values()].sort((a, b) => b.total - a.total);
+        };
+
+        res.json({
+            total: rows.reduce((sum, row) => sum + row.total, 0),
+            count: rows.reduce((sum, row) => sum + row.count, 0),
+            byBank: rollUp('bank_name'),
+            byOperationType: rollUp('operation_type'),
+            rows
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Cash counted per branch and denomination, to plan change-float orders for the period
+app.get('/api/analytics/denominations', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+
+        const result = await pool.query(`
+            SELECT c.branch_id, b.branch_name, cr.denomination,
+                   SUM(cr.quantity) as quantity,
+                   SUM(cr.amount) as total,
+                   COUNT(DISTINCT r.id) as reconciliations,
+                   COUNT(DISTINCT DATE(r.reconciliation_date)) as days
+            FROM cash_receipts cr
+            JOIN reconciliations r ON cr.tenant_id = r.tenant_id AND cr.reconciliation_id = r.id
+            LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+            LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+            ${where} AND cr.denomination IS NOT NULL
+            GROUP BY 1, 2, 3
+            ORDER BY b.branch_name NULLS LAST, cr.denomination DESC
+        `, params);
+
+        res.json({
+            rows: result.rows.map(row => {
+                const numbers = toNumbers(row, ['denomination', 'quantity', 'total', 'reconciliations', 'days']);
+                // Average count per day the branch had cash reconciled
+                return { ...numbers, daily_quantity: numbers.days ? numbers.quantity / numbers.days : 0 };
+            })
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Bank Statements ---
+// Statement files (CSV, OFX, CAMT.053) are parsed by statements.js; only the credit lines are
+// kept and each is matched to at most one synced bank receipt. Bank receipts carry no date of
+// their own, so the reconciliation date is used: card settlements are booked a few days later.
+const STATEMENT_MATCH_DAYS = { before: 1, after: 3 }; // booking date relative to the reconciliation date
+const STATEMENT_LINE_STATUSES = ['matched', 'suspicious', 'unmatched'];
+
+const dayDiff = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+const sameAmount = (a, b) => Math.abs(Number(a) - Number(b)) < 0.005;
+const normalizeReference = (value) => (value ? String(value).replace(/[\s-]/g, '').toLowerCase() : '');
+
+// Re-runs automatic matching for the statement's lines; lines confirmed or matched by hand are kept
+async function matchStatementLines(client, tenantId, statementId) {
+    const statementRes = await client.query(
+        'SELECT bank_name, period_from, period_to FROM bank_statements WHERE tenant_id = $1 AND id = $2',
+        [tenantId, statementId]
+    );
+    const statement = statementRes.rows[0];
+    const linesRes = await client.query(`
+        SELECT id, booking_date, amount, reference, description, bank_receipt_id,
+               (confirmed_at IS NOT NULL OR match_source = 'manual') AS kept
+        FROM bank_statement_lines WHERE statement_id = $1 ORDER BY line_no
+    `, [statementId]);
+
+    // Receipts reconciled around the statement period that no other statement has claimed
+    const receiptsRes = await client.query(`
+        SELECT br.id, br.amount, br.reference_number, DATE(r.reconciliation_date) AS date
+        FROM bank_receipts br
+        JOIN reconciliations r ON br.tenant_id = r.tenant_id AND br.reconciliation_id = r.id
+        WHERE br.tenant_id = $1
+          AND DATE(r.reconciliation_date) BETWEEN $2::date - $5::int AND $3::date + $6::int
+          AND ($4::text IS NULL OR strpos(lower(br.bank_name), lower($4)) > 0)
+          AND NOT EXISTS (
+              SELECT 1 FROM bank_statement_lines l
+              WHERE l.tenant_id = br.tenant_id AND l.bank_receipt_id = br.id AND l.statement_id <> $7
+          )
+        ORDER BY r.reconciliation_date, br.id
+    `, [tenantId, statement.period_from, statement.period_to, statement.bank_name,
+        STATEMENT_MATCH_DAYS.after, STATEMENT_MATCH_DAYS.before, statementId]);
+
+    const used = new Set(linesRes.rows.filter(line => line.kept && line.bank_receipt_id).map(line => line.bank_receipt_id));
+    const inWindow = (line, receipt) => {
+        const days = dayDiff(receipt.date, line.booking_date);
+        return days >= -STATEMENT_MATCH_DAYS.before && days <= STATEMENT_MATCH_DAYS.after;
+    };
+    const updates = [];
+
+    for (const line of linesRes.rows.filter(l => !l.kept)) {
+        const available = receiptsRes.rows.filter(receipt => !used.has(receipt.id));
+        const reference = normalizeReference(line.reference);
+        const description = normalizeReference(line.description);
+        let receipt = null;
+        let status = 'unmatched';
+        let reason = null;
+
+        // 1. Same reference: a match even when the amount or date disagree, but then a suspicious one
+        const byReference = available.find(r => {
+            const ref = normalizeReference(r.reference_number);
+            return ref && (ref === reference || (ref.length >= 4 && description.includes(ref)));
+        });
+        if (byReference) {
+            receipt = byReference;
+            if (!sameAmount(receipt.amount, line.amount)) {
+                [status, reason] = ['suspicious', 'amount_differs'];
+            } else if (!inWindow(line, receipt)) {
+                [status, reason] = ['suspicious', 'date_out_of_window'];
+            } else {
+                [status, reason] = ['matched', 'reference'];
+            }
+        } else {
+            // 2. Same amount within the date window, the closest date first
+            const candidates = available
+                .filter(r => sameAmount(r.amount, line.amount) && inWindow(line, r))
+                .sort((a, b) => Math.abs(dayDiff(a.date, line.booking_date)) - Math.abs(dayDiff(b.date, line.booking_date)));
+            if (candidates.length > 0) {
+                receipt = candidates[0];
+                if (candidates.length > 1) {
+                    [status, reason] = ['suspicious', 'ambiguous'];
+                } else if (reference && receipt.reference_number) {
+                    [status, reason] = ['suspicious', 'reference_differs'];
+                } else {
+                    [status, reason] = ['matched', 'amount_date'];
+                }
+            }
+        }
+
+        if (receipt) used.add(receipt.id);
+        updates.push({ id: line.id, status, reason, receiptId: receipt ? receipt.id : null });
+    }
+
+    if (updates.length > 0) {
+        await client.query(`
+            UPDATE bank_statement_lines l
+            SET match_status = m.status, match_reason = m.reason, bank_receipt_id = m.receipt_id,
+                match_source = CASE WHEN m.receipt_id IS NULL THEN NULL ELSE 'auto' END
+            FROM unnest($1::int[], $2::text[], $3::text[], $4::int[]) AS m(id, status, reason, receipt_id)
+            WHERE l.id = m.id
+        `, [updates.map(u => u.id), updates.map(u => u.status), updates.map(u => u.reason), updates.map(u => u.receiptId)]);
+    }
+
+    const summary = await client.query(`
+        SELECT match_status, COUNT(*)::int AS count FROM bank_statement_lines
+        WHERE statement_id = $1 GROUP BY match_status
+    `, [statementId]);
+    return Object.fromEntries(STATEMENT_LINE_STATUSES.map(status => [
+        status, (summary.rows.find(row => row.match_status === status) || { count: 0 }).count
+    ]));
+}
+
+// Reconciliation, cashier and branch of a bank receipt, for statement screens
+const STATEMENT_RECEIPT_COLUMNS = `
+    br.bank_name, br.operation_type, br.terminal_id AS receipt_terminal_id, br.reference_number,
+    br.amount AS receipt_amount, br.reconciliation_id, r.reconciliation_number,
+    DATE(r.reconciliation_date) AS reconciliation_date, c.name AS cashier_name, c.branch_id, b.branch_name
+`;
+const STATEMENT_RECEIPT_JOINS = `
+    LEFT JOIN reconciliations r ON br.tenant_id = r.tenant_id AND br.reconciliation_id = r.id
+    LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+    LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+`;
+
+const findStatementLine = async (tenantId, statementId, lineId) => {
+    const result = await pool.query(
+        'SELECT * FROM bank_statement_lines WHERE tenant_id = $1 AND statement_id = $2 AND id = $3',
+        [tenantId, statementId, lineId]
+    );
+    return result.rows[0];
+};
+
+// API: Upload a statement file ({ fileName, content, bankName }) and match it
+app.post('/api/bank-statements', requireRole('admin'), async (req, res) => {
+    const { fileName, content, format } = req.body;
+    const bankName = String(req.body.bankName || '').trim() || null;
+    if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'content is required' });
+    }
+    if (format && !STATEMENT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${STATEMENT_FORMATS.join(', ')}` });
+    }
+
+    let parsed;
+    try {
+        parsed = parseStatement(content, { fileName, format });
+    } catch (err) {
+        return res.status(err instanceof StatementError ? 400 : 500).json({ error: err.message });
+    }
+
+    const dates = parsed.lines.map(line => line.date).sort();
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const statementRes = await client.query(`
+            INSERT INTO bank_statements (tenant_id, file_name, format, bank_name, account, period_from, period_to, line_count, uploaded_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, file_name, format, bank_name, account, period_from, period_to, line_count, uploaded_at
+        `, [req.user.tenant_id, fileName || null, parsed.format, bankName, parsed.account || null,
+            dates[0], dates[dates.length - 1], parsed.lines.length, req.user.id]);
+        const statement = statementRes.rows[0];
+
+        await client.query(`
+            INSERT INTO bank_statement_lines (tenant_id, statement_id, line_no, booking_date, amount, reference, description, terminal_id)
+            SELECT $1, $2, t.ord, t.booking_date, t.amount, t.reference, t.description, t.terminal_id
+            FROM unnest($3::date[], $4::numeric[], $5::text[], $6::text[], $7::text[])
+                 WITH ORDINALITY AS t(booking_date, amount, reference, description, terminal_id, ord)
+        `, [req.user.tenant_id, statement.id,
+            parsed.lines.map(line => line.date), parsed.lines.map(line => line.amount),
+            parsed.lines.map(line => line.reference), parsed.lines.map(line => line.description),
+            parsed.lines.map(line => line.terminal)]);
+
+        const summary = await matchStatementLines(client, req.user.tenant_id, statement.id);
+        await client.query('COMMIT');
+        res.json({ success: true, statement, summary });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+// API: Uploaded statements with their match counts
+app.get('/api/bank-statements', requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT s.id, s.file_name, s.format, s.bank_name, s.account, s.period_from, s.period_to,
+                   s.line_count, s.uploaded_at, a.username AS uploaded_by,
+                   COALESCE(SUM(l.amount), 0) AS total,
+                   COUNT(l.id) FILTER (WHERE l.match_status = 'matched')::int AS matched,
+                   COUNT(l.id) FILTER (WHERE l.match_status = 'suspicious')::int AS suspicious,
+                   COUNT(l.id) FILTER (WHERE l.match_status = 'unmatched')::int AS unmatched
+            FROM bank_statements s
+            LEFT JOIN bank_statement_lines l ON l.statement_id = s.id
+            LEFT JOIN admins a ON a.tenant_id = s.tenant_id AND a.id = s.uploaded_by
+            WHERE s.tenant_id = $1
+            GROUP BY s.id, a.username
+            ORDER BY s.id DESC
+        `, [req.user.tenant_id]);
+        res.json(result.rows.map(row => toNumbers(row, ['total'])));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: A statement's lines with the matched receipt, reconciliation and branch, plus the bank
+// receipts of the period that are not on any statement
+app.get('/api/bank-statements/:id', requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        const statementRes = await pool.query(
+            'SELECT * FROM bank_statements WHERE tenant_id = $1 AND id = $2',
+            [req.user.tenant_id, req.params.id]
+        );
+        const statement = statementRes.rows[0];
+        if (!statement) {
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+
+        const lines = await pool.query(`
+            SELECT l.id, l.line_no, l.booking_date, l.amount, l.reference, l.description, l.terminal_id,
+                   l.match_status, l.match_reason, l.match_source, l.bank_receipt_id, l.confirmed_at,
+                   a.username AS confirmed_by, ${STATEMENT_RECEIPT_COLUMNS}
+            FROM bank_statement_lines l
+            LEFT JOIN bank_receipts br ON br.tenant_id = l.tenant_id AND br.id = l.bank_receipt_id
+            ${STATEMENT_RECEIPT_JOINS}
+            LEFT JOIN admins a ON a.tenant_id = l.tenant_id AND a.id = l.confirmed_by
+            WHERE l.statement_id = $1
+            ORDER BY l.line_no
+        `, [statement.id]);
+
+        const receipts = await pool.query(`
+            SELECT br.id, ${STATEMENT_RECEIPT_COLUMNS}
+            FROM bank_receipts br
+            ${STATEMENT_RECEIPT_JOINS}
+            WHERE br.tenant_id = $1
+              AND DATE(r.reconciliation_date) BETWEEN $2::date - $5::int AND $3::date
+              AND ($4::text IS NULL OR strpos(lower(br.bank_name), lower($4)) > 0)
+              AND NOT EXISTS (
+                  SELECT 1 FROM bank_statement_lines l WHERE l.tenant_id = br.tenant_id AND l.bank_receipt_id = br.id
+              )
+            ORDER BY r.reconciliation_date, br.id
+        `, [req.user.tenant_id, statement.period_from, statement.period_to, statement.bank_name, STATEMENT_MATCH_DAYS.after]);
+
+        res.json({
+            statement,
+            lines: lines.rows.map(row => toNumbers(row, ['amount', 'receipt_amount'])),
+            unmatchedReceipts: receipts.rows.map(row => toNumbers(row, ['receipt_amount']))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Receipts a line could be matched to by hand (closest amount, then closest date)
+app.get('/api/bank-statements/:id/lines/:lineId/candidates', requireRole('admin'), async (req, res) => {
+    try {
+        const line = await findStatementLine(req.user.tenant_id, req.params.id, req.params.lineId);
+        if (!line) {
+            return res.status(404).json({ error: 'Statement line not found' });
+        }
+
+        const result = await pool.query(`
+            SELECT br.id, ${STATEMENT_RECEIPT_COLUMNS}
+            FROM bank_receipts br
+            ${STATEMENT_RECEIPT_JOINS}
+            WHERE br.tenant_id = $1
+              AND DATE(r.reconciliation_date) BETWEEN $2::date - 7 AND $2::date + 7
+              AND NOT EXISTS (
+                  SELECT 1 FROM bank_statement_lines l
+                  WHERE l.tenant_id = br.tenant_id AND l.bank_receipt_id = br.id AND l.id <> $4
+              )
+            ORDER BY ABS(br.amount - $3), ABS(DATE(r.reconciliation_date) - $2::date), br.id
+            LIMIT 20
+        `, [req.user.tenant_id, line.booking_date, line.amount, line.id]);
+        res.json(result.rows.map(row => toNumbers(row, ['receipt_amount'])));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Match a line by hand ({ bankReceiptId }, or null to mark it as having no receipt)
+app.post('/api/bank-statements/:id/lines/:lineId/match', requireRole('admin'), async (req, res) => {
+    const { bankReceiptId } = req.body;
+    if (bankReceiptId != null && !Number.isInteger(bankReceiptId)) {
+        return res.status(400).json({ error: 'bankReceiptId must be an integer or null' });
+    }
+
+    try {
+        const line = await findStatementLine(req.user.tenant_id, req.params.id, req.params.lineId);
+        if (!line) {
+            return res.status(404).json({ error: 'Statement line not found' });
+        }
+
+        if (bankReceiptId != null) {
+            const receipt = await pool.query(
+                'SELECT id FROM bank_receipts WHERE tenant_id = $1 AND id = $2',
+                [req.user.tenant_id, bankReceiptId]
+            );
+            if (receipt.rowCount === 0) {
+                return res.status(404).json({ error: 'Bank receipt not found' });
+            }
+            const taken = await pool.query(
+                'SELECT statement_id FROM bank_statement_lines WHERE tenant_id = $1 AND bank_receipt_id = $2 AND id <> $3',
+                [req.user.tenant_id, bankReceiptId, line.id]
+            );
+            if (taken.rowCount > 0) {
+                return res.status(400).json({ error: `This bank receipt is already matched (statement #${taken.rows[0].statement_id})` });
+            }
+        }
+
+        await pool.query(`
+            UPDATE bank_statement_lines
+            SET bank_receipt_id = $1, match_status = $2, match_reason = 'manual', match_source = 'manual',
+                confirmed_by = $3, confirmed_at = NOW()
+            WHERE id = $4
+        `, [bankReceiptId, bankReceiptId == null ? 'unmatched' : 'matched', req.user.id, line.id]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Accept the automatic match of a line (typically a suspicious one)
+app.post('/api/bank-statements/:id/lines/:lineId/confirm', requireRole('admin'), async (req, res) => {
+    try {
+        const line = await findStatementLine(req.user.tenant_id, req.params.id, req.params.lineId);
+        if (!line) {
+            return res.status(404).json({ error: 'Statement line not found' });
+        }
+        if (line.bank_receipt_id == null) {
+            return res.status(400).json({ error: 'The line has no matched receipt to confirm' });
+        }
+
+        await pool.query(`
+            UPDATE bank_statement_lines SET match_status = 'matched', confirmed_by = $1, confirmed_at = NOW()
+            WHERE id = $2
+        `, [req.user.id, line.id]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Match again, e.g. after the desktop app synced the missing receipts
+app.post('/api/bank-statements/:id/rematch', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const found = await client.query(
+            'SELECT id FROM bank_statements WHERE tenant_id = $1 AND id = $2 FOR UPDATE',
+            [req.user.tenant_id, req.params.id]
+        );
+        if (found.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+
+        const summary = await matchStatementLines(client, req.user.tenant_id, found.rows[0].id);
+        await client.query('COMMIT');
+        res.json({ success: true, summary });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/bank-statements/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM bank_statements WHERE tenant_id = $1 AND id = $2',
+            [req.user.tenant_id, req.params.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Data Integrity ---
+// The synced tables have no foreign keys and the desktop app computes the totals, so nothing
+// stops a push from leaving a reconciliation without its cashier or with totals that do not add
+// up. The checks below run shortly after a push (once for a burst of pushes) and on demand.
+// Each finding is kept in integrity_issues (one current row per record and kind): it stays open
+// until a later run no longer finds it (resolved), or until an admin dismisses it. Runs of a
+// tenant are serialized on an advisory lock of their own, so pushes never wait for a run, and
+// read one snapshot so a push committed halfway through does not skew the result.
+const INTEGRITY_TOLERANCE = 0.01; // Rounding allowed in the arithmetic checks
+const INTEGRITY_LOCK_ID = 727101; // Arbitrary, with the tenant id as the second key
+const INTEGRITY_SYNC_DELAY_MS = 30 * 1000;
+
+const INTEGRITY_CHECKS = [
+    {
+        kind: 'unknown_cashier',
+        entity: 'reconciliation',
+        sql: `
+            SELECT r.id AS entity_id, r.id AS reconciliation_id,
+                   jsonb_build_object('reconciliation_number', r.reconciliation_number, 'cashier_id', r.cashier_id) AS details
+            FROM reconciliations r
+            LEFT JOIN cashiers c ON c.tenant_id = r.tenant_id AND c.id = r.cashier_id
+            WHERE r.tenant_id = $1 AND c.id IS NULL
+        `
+    },
+    {
+        kind: 'unknown_accountant',
+        entity: 'reconciliation',
+        sql: `
+            SELECT r.id AS entity_id, r.id AS reconciliation_id,
+                   jsonb_build_object('reconciliation_number', r.reconciliation_number, 'accountant_id', r.accountant_id) AS details
+            FROM reconciliations r
+            LEFT JOIN accountants a ON a.tenant_id = r.tenant_id AND a.id = r.accountant_id
+            WHERE r.tenant_id = $1 AND r.accountant_id IS NOT NULL AND a.id IS NULL
+        `
+    },
+    {
+        kind: 'unknown_branch',
+        entity: 'cashier',
+        sql: `
+            SELECT c.id AS entity_id, NULL::int AS reconciliation_id,
+                   jsonb_build_object('name', c.name, 'branch_id', c.branch_id) AS details
+            FROM cashiers c
+            LEFT JOIN branches b ON b.tenant_id = c.tenant_id AND b.id = c.branch_id
+            WHERE c.tenant_id = $1 AND c.branch_id IS NOT NULL AND b.id IS NULL
+        `
+    },
+    ...['bank_receipts', 'cash_receipts'].map(table => ({
+        kind: 'orphan_receipt',
+        entity: table.replace(/s$/, ''),
+        sql: `
+            SELECT x.id AS entity_id, NULL::int AS reconciliation_id,
+                   jsonb_build_object('reconciliation_id', x.reconciliation_id, 'amount', x.amount) AS details
+            FROM ${table} x
+            LEFT JOIN reconciliations r ON r.tenant_id = x.tenant_id AND r.id = x.reconciliation_id
+            WHERE x.tenant_id = $1 AND r.id IS NULL
+        `
+    })),
+    {
+        kind: 'receipts_mismatch',
+        entity: 'reconciliation',
+        sql: `
+            SELECT r.id AS entity_id, r.id AS reconciliation_id,
+                   jsonb_build_object('reconciliation_number', r.reconciliation_number, 'total_receipts', r.total_receipts,
+                                      'cash', t.cash, 'bank', t.bank,
+                                      'difference', COALESCE(r.total_receipts, 0) - t.cash - t.bank) AS details
+            FROM reconciliations r
+            CROSS JOIN LATERAL (
+                SELECT COALESCE((SELECT SUM(cr.amount) FROM cash_receipts cr
+                                 WHERE cr.tenant_id = r.tenant_id AND cr.reconciliation_id = r.id), 0) AS cash,
+                       COALESCE((SELECT SUM(br.amount) FROM bank_receipts br
+                                 WHERE br.tenant_id = r.tenant_id AND br.reconciliation_id = r.id), 0) AS bank
+            ) t
+            WHERE r.tenant_id = $1 AND ABS(COALESCE(r.total_receipts, 0) - t.cash - t.bank) > ${INTEGRITY_TOLERANCE}
+        `
+    },
+    {
+        kind: 'surplus_mismatch',
+        entity: 'reconciliation',
+        sql: `
+            SELECT r.id AS entity_id, r.id AS reconciliation_id,
+                   jsonb_build_object('reconciliation_number', r.reconciliation_number, 'surplus_deficit', r.surplus_deficit,
+                                      'expected', COALESCE(r.total_receipts, 0) - COALESCE(r.system_sales, 0)) AS details
+            FROM reconciliations r
+            WHERE r.tenant_id = $1
+              AND ABS(COALESCE(r.surplus_deficit, 0) - (COALESCE(r.total_receipts, 0) - COALESCE(r.system_sales, 0))) > ${INTEGRITY_TOLERANCE}
+        `
+    },
+    {
+        // One issue per number, listing the reconciliations that share it
+        kind: 'duplicate_number',
+        entity: 'reconciliation_number',
+        sql: `
+            SELECT r.reconciliation_number AS entity_id, NULL::int AS reconciliation_id,
+                   jsonb_build_object('reconciliation_number', r.reconciliation_number, 'ids', array_agg(r.id ORDER BY r.id)) AS details
+            FROM reconciliations r
+            WHERE r.tenant_id = $1 AND r.reconciliation_number IS NOT NULL
+            GROUP BY r.reconciliation_number
+            HAVING COUNT(*) > 1
+        `
+    }
+];
+
+// Runs every check and updates integrity_issues; returns the run as stored in integrity_runs
+async function runIntegrityCheck(tenantId, trigger, runBy = null) {
+    const client = await pool.connect();
+    try {
+        // Locked before the transaction starts, so its snapshot is taken after the previous run committed
+        await client.query('SELECT pg_advisory_lock($1, $2)', [INTEGRITY_LOCK_ID, tenantId]);
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ');
+        const startedAt = (await client.query('SELECT NOW() AS now')).rows[0].now;
+
+        const found = [];
+        for (const check of INTEGRITY_CHECKS) {
+            const result = await client.query(check.sql, [tenantId]);
+            result.rows.forEach(row => found.push({ ...row, kind: check.kind, entity: check.entity }));
+        }
+
+        // New findings are opened, known ones (open or dismissed) get the latest details
+        const upserted = await client.query(`
+            INSERT INTO integrity_issues (tenant_id, kind, entity, entity_id, reconciliation_id, details)
+            SELECT $1, f.kind, f.entity, f.entity_id, f.reconciliation_id, f.details
+            FROM unnest($2::text[], $3::text[], $4::int[], $5::int[], $6::jsonb[])
+                AS f(kind, entity, entity_id, reconciliation_id, details)
+            ON CONFLICT (tenant_id, kind, entity, entity_id) WHERE status <> 'resolved'
+            DO UPDATE SET reconciliation_id = EXCLUDED.reconciliation_id, details = EXCLUDED.details, last_seen_at = NOW()
+            RETURNING id, status, (xmax = 0) AS inserted
+        `, [
+            tenantId,
+            found.map(f => f.kind),
+            found.map(f => f.entity),
+            found.map(f => f.entity_id),
+            found.map(f => f.reconciliation_id),
+            found.map(f => JSON.stringify(f.details))
+        ]);
+
+        const resolved = await client.query(`
+            UPDATE integrity_issues SET status = 'resolved', resolved_at = NOW()
+            WHERE tenant_id = $1 AND status <> 'resolved' AND id <> ALL($2::int[])
+        `, [tenantId, upserted.rows.map(row => row.id)]);
+
+        const run = await client.query(`
+            INSERT INTO integrity_runs (tenant_id, trigger, started_at, finished_at, open_issues, new_issues, resolved_issues, run_by)
+            VALUES ($1, $2, $3, clock_timestamp(), $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            tenantId, trigger, startedAt,
+            upserted.rows.filter(row => row.status === 'open').length,
+            upserted.rows.filter(row => row.inserted).length,
+            resolved.rowCount,
+            runBy
+        ]);
+
+        await client.query('COMMIT');
+        return run.rows[0];
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1, $2)', [INTEGRITY_LOCK_ID, tenantId]).catch(() => {});
+        client.release();
+    }
+}
+
+// After a push: one run per tenant for the pushes of the next INTEGRITY_SYNC_DELAY_MS.
+// A push arriving while that run is under way schedules the next one.
+const scheduledIntegrityChecks = new Set(); // Tenant ids
+
+function scheduleIntegrityCheck(tenantId) {
+    if (scheduledIntegrityChecks.has(tenantId)) return;
+    scheduledIntegrityChecks.add(tenantId);
+    setTimeout(() => {
+        scheduledIntegrityChecks.delete(tenantId);
+        runIntegrityCheck(tenantId, 'sync').catch(err => console.error('Integrity check failed:', err));
+    }, INTEGRITY_SYNC_DELAY_MS).unref();
+}
+
+// API: Integrity issues (?status=open|dismissed|resolved, default open) with the latest run
+app.get('/api/integrity', requireRole('admin', 'auditor'), async (req, res) => {
+    try {
+        const runRes = await pool.query(
+            'SELECT * FROM integrity_runs WHERE tenant_id = $1 ORDER BY id DESC LIMIT 1',
+            [req.user.tenant_id]
+        );
+        const countsRes = await pool.query(`
+            SELECT kind, COUNT(*)::int AS count
+            FROM integrity_issues
+            WHERE tenant_id = $1 AND status = 'open'
+            GROUP BY kind
+        `, [req.user.tenant_id]);
+        const issuesRes = await pool.query(`
+            SELECT i.id, i.kind, i.entity, i.entity_id, i.reconciliation_id, i.details, i.status,
+                   i.first_seen_at, i.last_seen_at, i.resolved_at, i.reviewed_at, a.username AS reviewed_by,
+                   DATE(r.reconciliation_date) AS reconciliation_date
+            FROM integrity_issues i
+            LEFT JOIN admins a ON a.tenant_id = i.tenant_id AND a.id = i.reviewed_by
+            LEFT JOIN reconciliations r ON r.tenant_id = i.tenant_id AND r.id = i.reconciliation_id
+            WHERE i.tenant_id = $1 AND i.status = $2
+            ORDER BY i.last_seen_at DESC, i.id DESC
+            LIMIT 500
+        `, [req.user.tenant_id, req.query.status || 'open']);
+
+        res.json({
+            lastRun: runRes.rows[0] || null,
+            counts: Object.fromEntries(countsRes.rows.map(row => [row.kind, row.count])),
+            issues: issuesRes.rows
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Run the checks now
+app.post('/api/integrity/run', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, run: await runIntegrityCheck(req.user.tenant_id, 'manual', req.user.id) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Dismiss an open issue once it has been reviewed (it is resolved when it goes away)
+app.post('/api/integrity/:id/dismiss', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE integrity_issues SET status = 'dismissed', reviewed_by = $1, reviewed_at = NOW()
+            WHERE tenant_id = $2 AND id = $3 AND status = 'open'
+        `, [req.user.id, req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Integrity issue not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Settings ---
+// Per-tenant JSON settings; callers merge the stored value over their defaults.
+const getSetting = async (tenantId, key, defaults) => {
+    const result = await pool.query('SELECT value FROM tenant_settings WHERE tenant_id = $1 AND key = $2', [tenantId, key]);
+    return { ...defaults, ...(result.rows[0] ? result.rows[0].value : {}) };
+};
+
+const saveSetting = async (tenantId, key, value) => {
+    await pool.query(`
+        INSERT INTO tenant_settings (tenant_id, key, value, updated_at) VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (tenant_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `, [tenantId, key, JSON.stringify(value)]);
+};
+
+// --- Cashier Scorecard ---
+// A cashier is flagged when any enabled rule matches (0 disables a rule):
+// cumulative net deficit, a single large shortfall, or too many deficits within a few days.
+const DEFICIT_FLAG_DEFAULTS = {
+    cumulativeDeficit: 500,
+    singleDeficit: 200,
+    patternCount: 3,
+    patternDays: 7
+};
+
+const readDeficitFlagRules = (body) => {
+    const rules = {};
+    for (const key of Object.keys(DEFICIT_FLAG_DEFAULTS)) {
+        const value = Number(body[key]);
+        if (!Number.isFinite(value) || value < 0) return null;
+        rules[key] = value;
+    }
+    return rules;
+};
+
+// Largest number of deficit shifts that fall inside any window of `days` days
+const maxDeficitsInWindow = (dates, days) => {
+    const times = dates.map(d => Date.parse(d)).sort((a, b) => a - b);
+    const span = days * 24 * 60 * 60 * 1000;
+    let best = 0;
+    for (let i = 0, start = 0; i < times.length; i++) {
+        while (times[i] - times[start] >= span) start++;
+        best = Math.max(best, i - start + 1);
+    }
+    return best;
+};
+
+const deficitFlags = (row, rules) => {
+    const flags = [];
+    if (rules.cumulativeDeficit > 0 && row.surplus_deficit <= -rules.cumulativeDeficit) flags.push('cumulative');
+    if (rules.singleDeficit > 0 && row.max_shortfall >= rules.singleDeficit) flags.push('single');
+    if (rules.patternCount > 0 && rules.patternDays > 0 && row.deficit_streak >= rules.patternCount) flags.push('pattern');
+    return flags;
+};
+
+// API: Per-cashier scorecard for the current filters, flagged cashiers first
+app.get('/api/cashiers/scorecard', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+        const rules = await getSetting(req.user.tenant_id, 'deficit_flags', DEFICIT_FLAG_DEFAULTS);
+
+        const result = await pool.query(`
+            SELECT r.cashier_id as id,
+                   c.name, c.cashier_number, b.branch_name,
+                   COUNT(*) as count,
+                   SUM(r.surplus_deficit) as surplus_deficit,
+                   COUNT(*) FILTER (WHERE r.surplus_deficit < 0) as deficit_count,
+                   COALESCE(-SUM(r.surplus_deficit) FILTER (WHERE r.surplus_deficit < 0), 0) as total_shortfall,
+                   GREATEST(-MIN(r.surplus_deficit), 0) as max_shortfall,
+                   array_agg(to_char(DATE(r.reconciliation_date), 'YYYY-MM-DD'))
+                       FILTER (WHERE r.surplus_deficit < 0 AND r.reconciliation_date IS NOT NULL) as deficit_dates
             FROM reconciliations r
-            JOIN cashiers c ON r.cashier_id = c.id
-            JOIN accountants a ON r.accountant_id = a.id
-            LEFT JOIN branches b ON c.branch_id = b.id
-            WHERE r.id = $1
-        `;
+            LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+            LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+            ${where}
+            GROUP BY r.cashier_id, c.name, c.cashier_number, b.branch_name
+        `, params);
+
+        const rows = result.rows.map(row => {
+            toNumbers(row, ['count', 'surplus_deficit', 'deficit_count', 'total_shortfall', 'max_shortfall']);
+            const { deficit_dates: dates, ...card } = row;
+            card.avg_shortfall = card.count ? card.total_shortfall / card.count : 0;
+            card.deficit_rate = card.count ? card.deficit_count / card.count : 0;
+            card.deficit_streak = maxDeficitsInWindow(dates || [], rules.patternDays);
+            card.flags = deficitFlags(card, rules);
+            return card;
+        });
+
+        rows.sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || a.surplus_deficit - b.surplus_deficit);
+        res.json({ rules, rows });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/settings/deficit-flags', async (req, res) => {
+    try {
+        res.json(await getSetting(req.user.tenant_id, 'deficit_flags', DEFICIT_FLAG_DEFAULTS));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/settings/deficit-flags', requireRole('admin'), async (req, res) => {
+    const rules = readDeficitFlagRules(req.body || {});
+    if (!rules) {
+        return res.status(400).json({ error: 'Thresholds must be non-negative numbers' });
+    }
+
+    try {
+        await saveSetting(req.user.tenant_id, 'deficit_flags', rules);
+        res.json({ success: true, rules });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Alert Rules ---
+// Admin-defined rules, checked when reconciliations are newly completed (and every few
+// minutes for missing reconciliations). Each firing is recorded once per rule and key in
+// alert_events, so re-pushed rows do not notify twice. Recipients are the targeted admins plus every admin
+// holding a targeted role, limited to those allowed to see the branch concerned.
+const ALERT_RULE_TYPES = {
+    deficit_below: ['amount'],
+    bank_receipt_above: ['amount'],
+    repeat_deficit: ['count', 'days'],
+    missing_reconciliation: ['cutoff']
+};
+const ALERT_TIMEZONE = process.env.ALERT_TIMEZONE || 'Asia/Riyadh';
+const ALERT_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const toIdList = (value) => Array.isArray(value)
+    ? [...new Set(value.map(Number).filter(Number.isInteger))]
+    : [];
+
+// Validates a rule from the dashboard; returns { rule } or { error }
+const readAlertRule = (body) => {
+    const { name, type, params = {}, enabled = true } = body;
+    if (!name || !String(name).trim()) return { error: 'name is required' };
+    if (!ALERT_RULE_TYPES[type]) return { error: 'Unknown rule type' };
+
+    const cleanParams = {};
+    for (const key of ALERT_RULE_TYPES[type]) {
+        if (key === 'cutoff') {
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(params.cutoff || '')) return { error: 'cutoff must be HH:MM' };
+            cleanParams.cutoff = params.cutoff;
+        } else {
+            const value = Number(params[key]);
+            if (!Number.isFinite(value) || value <= 0) return { error: `${key} must be a positive number` };
+            cleanParams[key] = value;
+        }
+    }
+
+    const targetRoles = Array.isArray(body.targetRoles) ? body.targetRoles.filter(role => ROLES[role]) : [];
+    const targetAdminIds = toIdList(body.targetAdminIds);
+    if (targetRoles.length === 0 && targetAdminIds.length === 0) {
+        return { error: 'Choose at least one admin or role to notify' };
+    }
+
+    return {
+        rule: {
+            name: String(name).trim(),
+            type,
+            params: cleanParams,
+            branchIds: toIdList(body.branchIds),
+            targetAdminIds,
+            targetRoles,
+            enabled: enabled !== false
+        }
+    };
+};
+
+const ruleCoversBranch = (rule, branchId) =>
+    rule.branch_ids.length === 0 || rule.branch_ids.includes(Number(branchId));
+
+async function alertRecipients(rule, branchId) {
+    const result = await pool.query(`
+        SELECT a.id, a.role,
+               COALESCE(array_agg(ab.branch_id) FILTER (WHERE ab.branch_id IS NOT NULL), '{}') as branch_ids
+        FROM admins a
+        LEFT JOIN admin_branches ab ON ab.admin_id = a.id
+        WHERE a.tenant_id = $1 AND a.disabled_at IS NULL AND (a.id = ANY($2) OR a.role = ANY($3))
+        GROUP BY a.id
+    `, [rule.tenant_id, rule.target_admin_ids, rule.target_roles]);
+
+    return result.rows
+        .filter(admin => branchId == null || canSeeBranch(admin, branchId))
+        .map(admin => admin.id);
+}
+
+async function fireAlert(rule, dedupeKey, branchId, title, message) {
+    const recipients = await alertRecipients(rule, branchId);
+    const result = await pool.query(`
+        INSERT INTO alert_events (tenant_id, rule_id, dedupe_key, title, message, recipients)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (rule_id, dedupe_key) DO NOTHING
+        RETURNING id
+    `, [rule.tenant_id, rule.id, dedupeKey, title, message, recipients]);
+    if (result.rowCount === 0) return;
+
+    await pool.query('UPDATE alert_rules SET last_fired_at = NOW() WHERE id = $1', [rule.id]);
+    await sendNotification(rule.tenant_id, title, message, recipients);
+}
+
+// Checks newly completed reconciliations and their bank receipts against the tenant's rules
+async function evaluateSyncAlerts(tenantId, reconciliationIds) {
+    const rulesRes = await pool.query(
+        "SELECT * FROM alert_rules WHERE tenant_id = $1 AND enabled AND type <> 'missing_reconciliation'",
+        [tenantId]
+    );
+    if (rulesRes.rows.length === 0) return;
+
+    const recRes = await pool.query(`
+        SELECT r.id, r.reconciliation_number, r.cashier_id, r.surplus_deficit,
+               to_char(DATE(r.reconciliation_date), 'YYYY-MM-DD') as date,
+               c.name as cashier_name, c.branch_id
+        FROM reconciliations r
+        LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+        WHERE r.tenant_id = $1 AND r.id = ANY($2) AND r.status = 'completed'
+    `, [tenantId, reconciliationIds]);
+
+    const bankRes = await pool.query(`
+        SELECT br.id, br.amount, br.bank_name, r.reconciliation_number, c.name as cashier_name, c.branch_id
+        FROM bank_receipts br
+        JOIN reconciliations r ON br.tenant_id = r.tenant_id AND br.reconciliation_id = r.id
+        LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+        WHERE br.tenant_id = $1 AND br.reconciliation_id = ANY($2)
+    `, [tenantId, reconciliationIds]);
+
+    for (const rule of rulesRes.rows) {
+        const { params } = rule;
+
+        if (rule.type === 'bank_receipt_above') {
+            for (const br of bankRes.rows) {
+                if (!ruleCoversBranch(rule, br.branch_id) || Number(br.amount) <= params.amount) continue;
+                await fireAlert(rule, `bank_receipt:${br.id}`, br.branch_id, rule.name,
+                    `مقبوض بنكي ${Number(br.amount)} (${br.bank_name || '-'}) في التصفية #${br.reconciliation_number} - ${br.cashier_name || ''}`);
+            }
+            continue;
+        }
+
+        for (const rec of recRes.rows) {
+            const deficit = -Number(rec.surplus_deficit);
+            if (!ruleCoversBranch(rule, rec.branch_id) || deficit <= 0) continue;
+
+            if (rule.type === 'deficit_below' && deficit > params.amount) {
+                await fireAlert(rule, `reconciliation:${rec.id}`, rec.branch_id, rule.name,
+                    `عجز ${deficit} في التصفية #${rec.reconciliation_number} - ${rec.cashier_name || ''}`);
+            }
+
+            if (rule.type === 'repeat_deficit' && rec.date) {
+                const countRes = await pool.query(`
+                    SELECT COUNT(*) FROM reconciliations
+                    WHERE tenant_id = $1 AND cashier_id = $2 AND status = 'completed' AND surplus_deficit < 0
+                      AND DATE(reconciliation_date) BETWEEN $3::date - ($4::int - 1) AND $3::date
+                `, [tenantId, rec.cashier_id, rec.date, params.days]);
+                const count = Number(countRes.rows[0].count);
+                if (count >= params.count) {
+                    await fireAlert(rule, `reconciliation:${rec.id}`, rec.branch_id, rule.name,
+                        `${rec.cashier_name || 'الكاشير'}: ${count} حالات عجز خلال ${params.days} أيام (آخرها التصفية #${rec.reconciliation_number})`);
+                }
+            }
+        }
+    }
+}
+
+// Active branches with no reconciliation dated on the given day
+async function findMissingBranches(tenantId, date) {
+    const result = await pool.query(`
+        SELECT b.id, b.branch_name
+        FROM branches b
+        WHERE b.tenant_id = $1 AND b.is_active = 1
+          AND NOT EXISTS (
+              SELECT 1 FROM reconciliations r
+              JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+              WHERE r.tenant_id = b.tenant_id AND c.branch_id = b.id
+                AND DATE(r.reconciliation_date) = $2::date
+          )
+        ORDER BY b.branch_name
+    `, [tenantId, date]);
+    return result.rows;
+}
+
+// Branches without a reconciliation for today once a rule's cut-off time has passed
+async function checkMissingReconciliations() {
+    const rulesRes = await pool.query(`
+        SELECT ar.*,
+               to_char(NOW() AT TIME ZONE $1, 'HH24:MI') as local_time,
+               to_char(NOW() AT TIME ZONE $1, 'YYYY-MM-DD') as local_date
+        FROM alert_rules ar
+        WHERE ar.enabled AND ar.type = 'missing_reconciliation'
+    `, [ALERT_TIMEZONE]);
+
+    for (const rule of rulesRes.rows) {
+        if (rule.local_time < rule.params.cutoff) continue;
+
+        for (const branch of await findMissingBranches(rule.tenant_id, rule.local_date)) {
+            if (!ruleCoversBranch(rule, branch.id)) continue;
+            await fireAlert(rule, `branch:${branch.id}:${rule.local_date}`, branch.id, rule.name,
+                `لا توجد تصفية لفرع ${branch.branch_name} حتى ${rule.params.cutoff}`);
+        }
+    }
+}
+
+const ALERT_RULE_SELECT = `
+    SELECT id, name, type, params, branch_ids, target_admin_ids, target_roles, enabled, created_at, last_fired_at
+    FROM alert_rules
+`;
+
+// API: Alert rules (admins only)
+app.get('/api/alert-rules', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`${ALERT_RULE_SELECT} WHERE tenant_id = $1 ORDER BY id`, [req.user.tenant_id]);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/alert-rules', requireRole('admin'), async (req, res) => {
+    const { rule, error } = readAlertRule(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO alert_rules (tenant_id, name, type, params, branch_ids, target_admin_ids, target_roles, enabled)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `, [req.user.tenant_id, rule.name, rule.type, JSON.stringify(rule.params), rule.branchIds, rule.targetAdminIds, rule.targetRoles, rule.enabled]);
+        res.json({ success: true, id: result.rows[0].id });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/alert-rules/:id', requireRole('admin'), async (req, res) => {
+    const { rule, error } = readAlertRule(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const result = await pool.query(`
+            UPDATE alert_rules SET
+                name = $3, type = $4, params = $5, branch_ids = $6,
+                target_admin_ids = $7, target_roles = $8, enabled = $9, updated_at = NOW()
+            WHERE tenant_id = $1 AND id = $2
+        `, [req.user.tenant_id, req.params.id, rule.name, rule.type, JSON.stringify(rule.params), rule.branchIds, rule.targetAdminIds, rule.targetRoles, rule.enabled]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/alert-rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM alert_rules WHERE tenant_id = $1 AND id = $2', [req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        await pool.query('DELETE FROM alert_events WHERE rule_id = $1', [req.params.id]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Latest alerts fired for the tenant
+app.get('/api/alert-events', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT e.id, e.rule_id, ar.name as rule_name, e.title, e.message, e.recipients, e.created_at
+            FROM alert_events e
+            LEFT JOIN alert_rules ar ON ar.id = e.rule_id
+            WHERE e.tenant_id = $1
+            ORDER BY e.created_at DESC, e.id DESC
+            LIMIT 100
+        `, [req.user.tenant_id]);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Digests ---
+// Each user can schedule a daily and a weekly summary of the branches they can see. The job
+// below checks the schedules every minute (times are in ALERT_TIMEZONE). A digest is recorded
+// in digest_runs before it is queued, so it goes out once per period even across restarts, and
+// one missed while the server was down is sent when it is back (same day, or same weekday).
+// The daily digest covers the previous day; the weekly one the 7 days up to the previous day,
+// compared with the 7 days before. Delivery uses sendNotification, i.e. the user's channels.
+const DIGEST_DEFAULTS = {
+    daily: { sendTime: '08:00', weekday: null },
+    weekly: { sendTime: '08:00', weekday: 0 }
+};
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+const DIGEST_WORST_CASHIERS = 3;
+
+const shiftDate = (date, days) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+};
+
+const localToday = () => new Intl.DateTimeFormat('en-CA', { timeZone: ALERT_TIMEZONE }).format(new Date());
+
+// Validates a schedule from the dashboard; returns { schedule } or { error }
+const readDigestSchedule = (kind, body) => {
+    const sendTime = body.sendTime || DIGEST_DEFAULTS[kind].sendTime;
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(sendTime)) return { error: 'sendTime must be HH:MM' };
+
+    let weekday = null;
+    if (kind === 'weekly') {
+        weekday = body.weekday == null ? DIGEST_DEFAULTS.weekly.weekday : Number(body.weekday);
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) return { error: 'weekday must be 0 (Sunday) to 6' };
+    }
+    return { schedule: { sendTime, weekday, enabled: body.enabled !== false } };
+};
+
+// A user as buildReportFilters expects it (role and allowed branches)
+async function findDigestUser(tenantId, adminId) {
+    const result = await pool.query(`
+        SELECT a.id, a.tenant_id, a.username, a.name, a.role,
+               COALESCE(array_agg(ab.branch_id) FILTER (WHERE ab.branch_id IS NOT NULL), '{}') as branch_ids
+        FROM admins a
+        LEFT JOIN admin_branches ab ON ab.admin_id = a.id
+        WHERE a.tenant_id = $1 AND a.id = $2 AND a.disabled_at IS NULL
+        GROUP BY a.id
+    `, [tenantId, adminId]);
+    return result.rows[0];
+}
+
+const digestFilters = (user, dateFrom, dateTo) => buildReportFilters({ user, query: { dateFrom, dateTo } });
+
+// Cashiers with the largest net deficit
+async function queryWorstCashiers({ where, params }) {
+    const result = await pool.query(`
+        SELECT r.cashier_id as id, c.name, b.branch_name,
+               COUNT(*) FILTER (WHERE r.surplus_deficit < 0) as deficit_count,
+               SUM(r.surplus_deficit) as surplus_deficit
+        FROM reconciliations r
+        LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+        LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+        ${where}
+        GROUP BY 1, 2, 3
+        HAVING SUM(r.surplus_deficit) < 0
+        ORDER BY SUM(r.surplus_deficit)
+        LIMIT ${DIGEST_WORST_CASHIERS}
+    `, params);
+    return result.rows.map(row => toNumbers(row, ['deficit_count', 'surplus_deficit']));
+}
+
+// " (▲ 12.5%)" against the previous period, empty when there is nothing to compare with
+const digestChange = (current, previous) => {
+    if (previous === undefined || !Number(previous)) return '';
+    const change = ((Number(current) - Number(previous)) / Math.abs(Number(previous))) * 100;
+    return ` (${change >= 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(1)}%)`;
+};
+
+// Digest of the period ending on periodEnd, as seen by the user; weekly digests carry the previous week
+async function buildDigest(user, kind, periodEnd) {
+    const weekly = kind === 'weekly';
+    const periodFrom = weekly ? shiftDate(periodEnd, -6) : periodEnd;
+    const filters = digestFilters(user, periodFrom, periodEnd);
+
+    const totals = await queryStats(filters);
+    const branches = await queryBranchStats(filters);
+    const worstCashiers = await queryWorstCashiers(filters);
+    const missing = weekly ? [] : (await findMissingBranches(user.tenant_id, periodEnd))
+        .filter(branch => canSeeBranch(user, branch.id));
+
+    let previous = {};
+    let previousBranches = [];
+    if (weekly) {
+        const previousFilters = digestFilters(user, shiftDate(periodFrom, -7), shiftDate(periodFrom, -1));
+        previous = await queryStats(previousFilters);
+        previousBranches = await queryBranchStats(previousFilters);
+    }
+
+    const lines = [
+        `المبيعات: ${formatAmount(totals.totalSales)}${digestChange(totals.totalSales, previous.totalSales)}`,
+        `المقبوضات: ${formatAmount(totals.totalReceipts)}${digestChange(totals.totalReceipts, previous.totalReceipts)}`,
+        `النقدي: ${formatAmount(totals.totalCash)}${digestChange(totals.totalCash, previous.totalCash)}`,
+        `صافي الفروقات: ${formatAmount(totals.netSurplusDeficit)}${weekly ? ` (الأسبوع السابق: ${formatAmount(previous.netSurplusDeficit)})` : ''}`,
+        `عدد التصفيات: ${totals.totalReconciliations}${weekly ? ` (الأسبوع السابق: ${previous.totalReconciliations})` : ''}`
+    ];
+
+    if (branches.length > 0) {
+        lines.push('', 'الفروع:');
+        branches.forEach(branch => {
+            const before = previousBranches.find(row => row.id === branch.id);
+            lines.push(`- ${branch.name || 'غير محدد'}: مبيعات ${formatAmount(branch.sales)}${weekly ? digestChange(branch.sales, before ? before.sales : 0) : ''}`
+                + `، مقبوضات ${formatAmount(branch.receipts)}، نقدي ${formatAmount(branch.cash)}، فروقات ${formatAmount(branch.surplus_deficit)}`);
+        });
+    }
+    if (missing.length > 0) {
+        lines.push('', `فروع بدون تصفية: ${missing.map(branch => branch.branch_name).join('، ')}`);
+    }
+    if (worstCashiers.length > 0) {
+        lines.push('', 'أعلى عجز:');
+        worstCashiers.forEach(cashier => {
+            lines.push(`- ${cashier.name || `#${cashier.id}`} (${cashier.branch_name || '-'}): ${formatAmount(cashier.surplus_deficit)} في ${cashier.deficit_count} تصفية`);
+        });
+    }
+
+    return {
+        kind,
+        periodFrom,
+        periodEnd,
+        title: weekly ? `الملخص الأسبوعي ${periodFrom} - ${periodEnd}` : `الملخص اليومي ${periodEnd}`,
+        message: lines.join('\n'),
+        totals,
+        previous: weekly ? previous : null,
+        branches,
+        missing,
+        worstCashiers
+    };
+}
+
+// Claims the period in digest_runs, then queues the digest; false when it was already sent
+async function sendScheduledDigest(schedule, periodEnd) {
+    const claim = await pool.query(`
+        INSERT INTO digest_runs (tenant_id, schedule_id, period_end) VALUES ($1, $2, $3)
+        ON CONFLICT (schedule_id, period_end) DO NOTHING
+        RETURNING id
+    `, [schedule.tenant_id, schedule.id, periodEnd]);
+    if (claim.rowCount === 0) return false;
+
+    let digest;
+    try {
+        const user = await findDigestUser(schedule.tenant_id, schedule.admin_id);
+        if (!user) return false; // Deleted or disabled user: the claim stays, nothing to send
+        digest = await buildDigest(user, schedule.kind, periodEnd);
+        await pool.query('UPDATE digest_runs SET title = $1, message = $2 WHERE id = $3', [digest.title, digest.message, claim.rows[0].id]);
+        await pool.query('UPDATE digest_schedules SET last_sent_at = NOW() WHERE id = $1', [schedule.id]);
+    } catch (err) {
+        await pool.query('DELETE FROM digest_runs WHERE id = $1', [claim.rows[0].id]); // Try again next minute
+        throw err;
+    }
+
+    await sendNotification(schedule.tenant_id, digest.title, digest.message, [schedule.admin_id]);
+    return true;
+}
+
+async function runDueDigests() {
+    const result = await pool.query(`
+        SELECT s.*,
+               to_char(NOW() AT TIME ZONE $1, 'HH24:MI') as local_time,
+               to_char(NOW() AT TIME ZONE $1, 'YYYY-MM-DD') as local_date,
+               EXTRACT(DOW FROM NOW() AT TIME ZONE $1)::int as local_weekday
+        FROM digest_schedules s
+        WHERE s.enabled
+    `, [ALERT_TIMEZONE]);
+
+    for (const schedule of result.rows) {
+        if (schedule.local_time < schedule.send_time) continue;
+        if (schedule.kind === 'weekly' && schedule.local_weekday !== schedule.weekday) continue;
+
+        try {
+            await sendScheduledDigest(schedule, shiftDate(schedule.local_date, -1));
+        } catch (err) {
+            console.error(`Digest ${schedule.id} failed:`, err);
+        }
+    }
+}
+
+const isDigestKind = (kind) => Object.prototype.hasOwnProperty.call(DIGEST_DEFAULTS, kind);
+
+// API: The current user's digest schedules (defaults for the ones never saved)
+app.get('/api/me/digests', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT kind, send_time, weekday, enabled, last_sent_at FROM digest_schedules WHERE admin_id = $1',
+            [req.user.id]
+        );
+        res.json({
+            timezone: ALERT_TIMEZONE,
+            schedules: Object.entries(DIGEST_DEFAULTS).map(([kind, defaults]) => {
+                const saved = result.rows.find(row => row.kind === kind);
+                return saved
+                    ? { kind, sendTime: saved.send_time, weekday: saved.weekday, enabled: saved.enabled, lastSentAt: saved.last_sent_at }
+                    : { kind, ...defaults, enabled: false, lastSentAt: null };
+            })
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/me/digests/:kind', async (req, res) => {
+    if (!isDigestKind(req.params.kind)) {
+        return res.status(404).json({ error: 'Unknown digest' });
+    }
+    const { schedule, error } = readDigestSchedule(req.params.kind, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    try {
+        await pool.query(`
+            INSERT INTO digest_schedules (tenant_id, admin_id, kind, send_time, weekday, enabled)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (admin_id, kind) DO UPDATE SET
+                send_time = EXCLUDED.send_time,
+                weekday = EXCLUDED.weekday,
+                enabled = EXCLUDED.enabled,
+                updated_at = NOW()
+        `, [req.user.tenant_id, req.user.id, req.params.kind, schedule.sendTime, schedule.weekday, schedule.enabled]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: The digest as it would be sent now (?date= sets the last day covered, default yesterday)
+app.get('/api/me/digests/:kind/preview', async (req, res) => {
+    if (!isDigestKind(req.params.kind)) {
+        return res.status(404).json({ error: 'Unknown digest' });
+    }
+    const periodEnd = req.query.date || shiftDate(localToday(), -1);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(periodEnd) || SYNC_FIELD_TYPES.date(periodEnd)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    try {
+        res.json(await buildDigest(req.user, req.params.kind, periodEnd));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Send the digest to the current user now, outside the schedule
+app.post('/api/me/digests/:kind/send', async (req, res) => {
+    if (!isDigestKind(req.params.kind)) {
+        return res.status(404).json({ error: 'Unknown digest' });
+    }
+
+    try {
+        const digest = await buildDigest(req.user, req.params.kind, shiftDate(localToday(), -1));
+        await sendNotification(req.user.tenant_id, digest.title, digest.message, [req.user.id]);
+        res.json({ success: true, title: digest.title });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Notification Channels ---
+// API: The current user's channels, plus what the server can deliver
+app.get('/api/me/channels', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT channel, config, enabled, updated_at FROM admin_channels WHERE admin_id = $1 ORDER BY channel',
+            [req.user.id]
+        );
+        res.json({
+            available: Object.entries(NOTIFICATION_CHANNELS).map(([name, channel]) => ({
+                name,
+                configured: NOTIFY_DRY_RUN || channel.configured()
+            })),
+            defaults: NOTIFY_DEFAULT_CHANNELS,
+            channels: result.rows
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/me/channels/:channel', async (req, res) => {
+    const channel = NOTIFICATION_CHANNELS[req.params.channel];
+    if (!channel) {
+        return res.status(404).json({ error: 'Unknown channel' });
+    }
+    const config = channel.readConfig((req.body && req.body.config) || {});
+    if (!config) {
+        return res.status(400).json({ error: 'Invalid channel settings' });
+    }
+
+    try {
+        await pool.query(`
+            INSERT INTO admin_channels (tenant_id, admin_id, channel, config, enabled, updated_at)
+            VALUES ($1, $2, $3, $4, $5, NOW())
+            ON CONFLICT (admin_id, channel) DO UPDATE SET
+                config = EXCLUDED.config,
+                enabled = EXCLUDED.enabled,
+                updated_at = NOW()
+        `, [req.user.tenant_id, req.user.id, req.params.channel, JSON.stringify(config), req.body.enabled !== false]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/me/channels/:channel', async (req, res) => {
+    try {
+        await pool.query('DELETE FROM admin_channels WHERE admin_id = $1 AND channel = $2', [req.user.id, req.params.channel]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Send a test notification to the current user through their channels
+app.post('/api/me/channels/test', async (req, res) => {
+    try {
+        await sendNotification(req.user.tenant_id, 'إشعار تجريبي 🔔', `مرحباً ${req.user.name || req.user.username}، قنوات الإشعار تعمل.`, [req.user.id]);
+        const result = await pool.query(`
+            SELECT channel, status, last_error FROM notification_queue
+            WHERE admin_id = $1 AND created_at > NOW() - INTERVAL '1 minute'
+            ORDER BY id DESC
+            LIMIT 10
+        `, [req.user.id]);
+        res.json({ success: true, deliveries: result.rows });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Recent queued notifications of the tenant (?status=pending|sent|failed)
+app.get('/api/notifications/queue', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT q.id, q.channel, q.title, q.message, q.status, q.attempts, q.last_error,
+                   q.next_attempt_at, q.created_at, q.sent_at, a.username
+            FROM notification_queue q
+            LEFT JOIN admins a ON a.id = q.admin_id
+            WHERE q.tenant_id = $1 AND ($2::text IS NULL OR q.status = $2)
+            ORDER BY q.id DESC
+            LIMIT 100
+        `, [req.user.tenant_id, req.query.status || null]);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/notifications/queue/:id/retry', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE notification_queue SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+            WHERE tenant_id = $1 AND id = $2 AND status = 'failed'
+        `, [req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'No failed notification with this id' });
+        }
+        processNotificationQueue().catch(err => console.error('Notification queue failed:', err));
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: In-memory log of the log channel (and of all channels in dry-run mode)
+app.get('/api/notifications/log', requireRole('admin'), (req, res) => {
+    res.json(notificationLog.filter(item => item.tenant_id === req.user.tenant_id));
+});
+
+// Reconciliations joined with the names shown on the dashboard (outer joins: one whose cashier or
+// accountant is unknown is still listed, and reported by the integrity checks)
+const REPORT_SELECT = `
+    SELECT r.*,
+           c.name as cashier_name,
+           c.cashier_number,
+           a.name as accountant_name,
+           c.branch_id,
+           b.branch_name
+    FROM reconciliations r
+    LEFT JOIN cashiers c ON r.tenant_id = c.tenant_id AND r.cashier_id = c.id
+    LEFT JOIN accountants a ON r.tenant_id = a.tenant_id AND r.accountant_id = a.id
+    LEFT JOIN branches b ON c.tenant_id = b.tenant_id AND c.branch_id = b.id
+`;
+
+// Single reconciliation with its receipts, or null when missing / outside the user's branches
+async function getReportDetails(user, id) {
+    const recResult = await pool.query(`${REPORT_SELECT} WHERE r.tenant_id = $1 AND r.id = $2`, [user.tenant_id, id]);
+    const reconciliation = recResult.rows[0];
+
+    // Out-of-scope reports look exactly like missing ones
+    if (!reconciliation || !canSeeBranch(user, reconciliation.branch_id)) {
+        return null;
+    }
+
+    const bankReceipts = await pool.query('SELECT * FROM bank_receipts WHERE tenant_id = $1 AND reconciliation_id = $2', [user.tenant_id, id]);
+    const cashReceipts = await pool.query('SELECT * FROM cash_receipts WHERE tenant_id = $1 AND reconciliation_id = $2', [user.tenant_id, id]);
+
+    return {
+        ...reconciliation,
+        bankReceipts: bankReceipts.rows,
+        cashReceipts: cashReceipts.rows
+    };
+}
+
+// API: Reports (paginated: ?page=1&pageSize=50&sort=date&dir=asc&search=...)
+const REPORT_PAGE_SIZE = 50;
+const REPORT_MAX_PAGE_SIZE = 200;
+
+app.get('/api/reports', checkReportDates, async (req, res) => {
+    try {
+        const { where, params } = buildReportFilters(req);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || REPORT_PAGE_SIZE, 1), REPORT_MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const countRes = await pool.query(`SELECT COUNT(*) as count FROM reconciliations r ${where}`, params);
+
+        const result = await pool.query(`
+            ${REPORT_SELECT}
+            ${where}
+            ${buildReportOrder(req)}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pageSize, (page - 1) * pageSize]);
+
+        res.json({
+            rows: result.rows,
+            total: Number(countRes.rows[0].count),
+            page,
+            pageSize
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Exports ---
+const EXPORT_MAX_ROWS = 50000;
+
+const STATUS_LABELS = { completed: 'مكتملة', draft: 'مسودة' };
+
+const EXPORT_COLUMNS = [
+    { header: 'رقم التصفية', key: 'reconciliation_number', width: 12 },
+    { header: 'التاريخ', key: 'reconciliation_date', width: 14 },
+    { header: 'الفرع', key: 'branch_name', width: 18 },
+    { header: 'الكاشير', key: 'cashier_name', width: 20 },
+    { header: 'رقم الكاشير', key: 'cashier_number', width: 12 },
+    { header: 'المحاسب', key: 'accountant_name', width: 20 },
+    { header: 'مبيعات النظام', key: 'system_sales', width: 16, numeric: true },
+    { header: 'إجمالي المقبوضات', key: 'total_receipts', width: 16, numeric: true },
+    { header: 'العجز/الفائض', key: 'surplus_deficit', width: 16, numeric: true },
+    { header: 'الحالة', key: 'status', width: 10 },
+    { header: 'ملاحظات', key: 'notes', width: 30 }
+];
+
+const exportValue = (row, col) => {
+    const value = row[col.key];
+    if (value == null) return '';
+    if (col.numeric) return Number(value);
+    if (col.key === 'reconciliation_date') return String(value).slice(0, 10);
+    if (col.key === 'status') return STATUS_LABELS[value] || value;
+    return value;
+};
 
-        const recResult = await pool.query(recQuery, [id]);
+const csvCell = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// API: Export the filtered report list (?format=csv|xlsx, same filters as /api/reports)
+app.get('/api/reports/export', checkReportDates, async (req, res) => {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+
+    try {
+        const { where, params } = buildReportFilters(req);
+        params.push(EXPORT_MAX_ROWS);
+        const result = await pool.query(`
+            ${REPORT_SELECT}
+            ${where}
+            ${buildReportOrder(req)}
+            LIMIT $${params.length}
+        `, params);
+
+        const filename = `reconciliations-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            const lines = [EXPORT_COLUMNS.map(col => csvCell(col.header)).join(',')];
+            result.rows.forEach(row => {
+                lines.push(EXPORT_COLUMNS.map(col => csvCell(exportValue(row, col))).join(','));
+            });
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            // BOM so Excel opens the Arabic text as UTF-8
+            return res.send('\uFEFF' + lines.join('\r\n'));
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('التصفيات', { views: [{ rightToLeft: true, state: 'frozen', ySplit: 1 }] });
+        sheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+        sheet.getRow(1).font = { bold: true };
+
+        result.rows.forEach(row => {
+            const values = {};
+            EXPORT_COLUMNS.forEach(col => { values[col.key] = exportValue(row, col); });
+            sheet.addRow(values);
+        });
+        EXPORT_COLUMNS.filter(col => col.numeric).forEach(col => {
+            sheet.getColumn(col.key).numFmt = '#,##0.00';
+        });
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Get Single Report Details
+app.get('/api/reports/:id', async (req, res) => {
+    try {
+        const details = await getReportDetails(req.user, req.params.id);
+        if (!details) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        res.json(details);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        if (recResult.rows.length === 0) {
+// API: Change history of a reconciliation and its receipts, oldest first
+app.get('/api/reports/:id/history', async (req, res) => {
+    try {
+        const details = await getReportDetails(req.user, req.params.id);
+        if (!details) {
             return res.status(404).json({ error: 'Report not found' });
         }
 
-        const reconciliation = recResult.rows[0];
+        const result = await pool.query(`
+            SELECT h.id, h.sync_version, h.entity, h.entity_id, h.action, h.changes, h.changed_at,
+                   sr.source, sr.ip, d.name AS device_name
+            FROM row_history h
+            LEFT JOIN sync_runs sr ON sr.tenant_id = h.tenant_id AND sr.cursor = h.sync_version
+                                  AND sr.status IN ('success', 'partial')
+            LEFT JOIN sync_devices d ON d.id = sr.device_id
+            WHERE h.tenant_id = $1 AND h.reconciliation_id = $2
+            ORDER BY h.id
+        `, [req.user.tenant_id, details.id]);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- PDF Rendering ---
+// pdfkit has no bidi support, so text is drawn run by run from the right edge, each run
+// in the font of its script: Arabic gets shaped correctly and numbers keep their order.
+const PDF_FONT_DIR = path.join(path.dirname(require.resolve('@fontsource/noto-naskh-arabic/package.json')), 'files');
+const PDF_FONTS = {
+    arabic: path.join(PDF_FONT_DIR, 'noto-naskh-arabic-arabic-400-normal.woff'),
+    arabicBold: path.join(PDF_FONT_DIR, 'noto-naskh-arabic-arabic-700-normal.woff'),
+    latin: path.join(PDF_FONT_DIR, 'noto-naskh-arabic-latin-400-normal.woff'),
+    latinBold: path.join(PDF_FONT_DIR, 'noto-naskh-arabic-latin-700-normal.woff')
+};
+const ARABIC_RUNS = /([\u0600-\u06FF]+)/;
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Calls draw(run, x) for each script run laid out right to left and returns the total width
+function layoutRtlText(doc, text, right, { size = 11, bold = false } = {}, draw = () => {}) {
+    doc.fontSize(size);
+    const suffix = bold ? 'Bold' : '';
+    let x = right;
+
+    String(text).split(/\s+/).filter(Boolean).forEach((word, i) => {
+        if (i > 0) {
+            doc.font(`latin${suffix}`);
+            x -= doc.widthOfString(' ');
+        }
+        word.split(ARABIC_RUNS).filter(Boolean).forEach(run => {
+            doc.font(ARABIC_RUNS.test(run) ? `arabic${suffix}` : `latin${suffix}`);
+            x -= doc.widthOfString(run);
+            draw(run, x);
+        });
+    });
+
+    return right - x;
+}
+
+function drawRtlText(doc, text, right, y, { size = 11, bold = false, color = '#111827' } = {}) {
+    doc.fillColor(color);
+    layoutRtlText(doc, text, right, { size, bold }, (word, x) => doc.text(word, x, y, { lineBreak: false }));
+}
 
-        // Fetch receipts
-        const bankReceipts = await pool.query('SELECT * FROM bank_receipts WHERE reconciliation_id = $1', [id]);
-        const cashReceipts = await pool.query('SELECT * FROM cash_receipts WHERE reconciliation_id = $1', [id]);
+const rtlTextWidth = (doc, text, options) => layoutRtlText(doc, text, 0, options);
 
-        res.json({
-            ...reconciliation,
-            bankReceipts: bankReceipts.rows,
-            cashReceipts: cashReceipts.rows
+// Greedy word wrap for RTL text, returns the lines
+function wrapRtlText(doc, text, width, options) {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && rtlTextWidth(doc, candidate, options) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+function renderReconciliationPdf(doc, data) {
+    Object.entries(PDF_FONTS).forEach(([name, file]) => doc.registerFont(name, file));
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const muted = '#6b7280';
+    let y = doc.page.margins.top;
+
+    const ensureSpace = (height) => {
+        if (y + height > bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+        }
+    };
+    const rule = () => {
+        doc.moveTo(left, y).lineTo(right, y).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+        y += 8;
+    };
+    // Label on the right, value on the left edge of the given box
+    const row = (label, value, { color, bold } = {}) => {
+        ensureSpace(22);
+        drawRtlText(doc, label, right, y, { color: muted });
+        drawRtlText(doc, value, left + rtlTextWidth(doc, value, { bold }), y, { bold, color });
+        y += 22;
+    };
+    const section = (title) => {
+        ensureSpace(50);
+        y += 10;
+        drawRtlText(doc, title, right, y, { size: 14, bold: true });
+        y += 24;
+        rule();
+    };
+
+    drawRtlText(doc, 'تفاصيل التصفية', right, y, { size: 20, bold: true });
+    y += 36;
+    rule();
+
+    row('رقم التصفية', data.reconciliation_number || '-', { bold: true });
+    row('التاريخ', String(data.reconciliation_date || '-').slice(0, 10));
+    row('الفرع', data.branch_name || '-');
+    row('الكاشير', data.cashier_name || '-');
+    row('المحاسب', data.accountant_name || '-');
+    row('الحالة', STATUS_LABELS[data.status] || data.status || '-');
+
+    section('ملخص مالي');
+    row('مبيعات النظام', formatAmount(data.system_sales), { bold: true });
+    row('إجمالي المقبوضات', formatAmount(data.total_receipts), { bold: true, color: '#15803d' });
+    row('العجز/الفائض', formatAmount(data.surplus_deficit), {
+        bold: true,
+        color: Number(data.surplus_deficit) >= 0 ? '#15803d' : '#b91c1c'
+    });
+
+    section('المقبوضات النقدية');
+    if (data.cashReceipts.length === 0) {
+        row('لا توجد مقبوضات نقدية', '');
+    } else {
+        data.cashReceipts.forEach(c => row(
+            c.denomination != null ? `فئة ${Number(c.denomination)} × ${c.quantity ?? 0}` : c.notes || 'نقدية',
+            formatAmount(c.amount)
+        ));
+        const totalCash = data.cashReceipts.reduce((sum, c) => sum + Number(c.amount || 0), 0);
+        rule();
+        row('إجمالي النقدية', formatAmount(totalCash), { bold: true, color: '#15803d' });
+    }
+
+    section('المقبوضات البنكية');
+    if (data.bankReceipts.length === 0) {
+        row('لا توجد مقبوضات بنكية', '');
+    } else {
+        data.bankReceipts.forEach(b => row(
+            [b.bank_name, b.operation_type].filter(Boolean).join(' - ') || 'عملية بنكية',
+            formatAmount(b.amount)
+        ));
+        const totalBank = data.bankReceipts.reduce((sum, b) => sum + Number(b.amount || 0), 0);
+        rule();
+        row('إجمالي البنكية', formatAmount(totalBank), { bold: true });
+    }
+
+    if (data.notes) {
+        section('ملاحظات');
+        wrapRtlText(doc, data.notes, right - left).forEach(line => {
+            ensureSpace(22);
+            drawRtlText(doc, line, right, y);
+            y += 22;
         });
+    }
+
+    ensureSpace(30);
+    y += 10;
+    drawRtlText(doc, `تاريخ الطباعة ${new Date().toISOString().slice(0, 10)}`, right, y, { size: 9, color: muted });
+}
+
+// API: Export a single reconciliation as a printable PDF
+app.get('/api/reports/:id/export', async (req, res) => {
+    try {
+        const details = await getReportDetails(req.user, req.params.id);
+        if (!details) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Reconciliation ${details.reconciliation_number}` } });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${details.reconciliation_number || details.id}.pdf"`);
+        doc.pipe(res);
+        renderReconciliationPdf(doc, details);
+        doc.end();
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Start Server
-// Ensure tables exist
-const initDB = async () => {
-    try {
-        const client = await pool.connect();
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS branches (
-                id INTEGER PRIMARY KEY,
-                branch_name TEXT,
-                is_active INTEGER DEFAULT 1
-            );
-            CREATE TABLE IF NOT EXISTS cashiers (
-                id INTEGER PRIMARY KEY,
-                name TEXT,
-                cashier_number TEXT,
-                branch_id INTEGER,
-                active INTEGER DEFAULT 1
-            );
-            CREATE TABLE IF NOT EXISTS accountants (
-                id INTEGER PRIMARY KEY,
-                name TEXT,
-                username TEXT
-            );
-            CREATE TABLE IF NOT EXISTS admins (
-                id SERIAL PRIMARY KEY,
-                username TEXT UNIQUE,
-                password TEXT,
-                name TEXT
-            );
-            CREATE TABLE IF NOT EXISTS reconciliations (
-                id INTEGER PRIMARY KEY,
-                reconciliation_number INTEGER,
-                cashier_id INTEGER,
-                accountant_id INTEGER,
-                reconciliation_date TEXT,
-                system_sales DECIMAL(15,2),
-                total_receipts DECIMAL(15,2),
-                surplus_deficit DECIMAL(15,2),
-                status TEXT,
-                notes TEXT
-            );
-            CREATE TABLE IF NOT EXISTS bank_receipts (
-                id INTEGER PRIMARY KEY,
-                reconciliation_id INTEGER,
-                bank_name TEXT,
-                amount DECIMAL(15,2)
-            );
-             CREATE TABLE IF NOT EXISTS cash_receipts (
-                id INTEGER PRIMARY KEY,
-                reconciliation_id INTEGER,
-                amount DECIMAL(15,2),
-                notes TEXT
+// --- Admin Accounts ---
+// Accounts come from the desktop app (data.admins of a push, matched by username) or are created
+// on this screen. Whether a pushed password replaces the cloud one is the tenant's choice
+// (setting "admin_sync", desktopPasswords):
+//   always         - the desktop password always wins
+//   unless_changed - it wins until the password is set from the dashboard (default)
+//   never          - pushed passwords only serve to create missing accounts
+// A push never renames accounts created here, and never touches roles, branches or disabling.
+const ADMIN_SYNC_POLICIES = ['always', 'unless_changed', 'never'];
+const ADMIN_SYNC_DEFAULTS = { desktopPasswords: 'unless_changed' };
+const PASSWORD_MIN_LENGTH = 8;
+
+const checkNewPassword = (password) => typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH
+    ? null
+    : `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+
+// A pushed password (plaintext or already hashed) that matches the stored one
+const isSamePassword = async (pushed, stored) => isPasswordHash(pushed) ? pushed === stored : verifyPassword(pushed, stored);
+
+// Applies the admins of a push inside its transaction; returns the ids of the accounts whose
+// password changed, for their event streams to be ended after the commit
+async function syncDesktopAdmins(client, tenantId, admins) {
+    const { desktopPasswords } = await getSetting(tenantId, 'admin_sync', ADMIN_SYNC_DEFAULTS);
+    const revoked = [];
+
+    for (const admin of admins) {
+        const found = await client.query(
+            'SELECT id, password, source, password_source FROM admins WHERE tenant_id = $1 AND username = $2',
+            [tenantId, admin.username]
+        );
+        const existing = found.rows[0];
+        if (!existing) {
+            await client.query(
+                'INSERT INTO admins (tenant_id, username, password, name, password_changed_at) VALUES ($1, $2, $3, $4, NOW())',
+                [tenantId, admin.username, await toPasswordHash(admin.password), admin.name || admin.username]
             );
-            
-            -- Create index for faster sorting by reconciliation_number
-            CREATE INDEX IF NOT EXISTS idx_reconciliation_number ON reconciliations(reconciliation_number DESC);
-            
-            -- CRITICAL PERFORMANCE INDEXES: Prevent Full Table Scans on Joins/Deletes
-            CREATE INDEX IF NOT EXISTS idx_reconciliations_cashier ON reconciliations(cashier_id);
-            CREATE INDEX IF NOT EXISTS idx_reconciliations_date ON reconciliations(reconciliation_date);
-            CREATE INDEX IF NOT EXISTS idx_bank_rec_id ON bank_receipts(reconciliation_id);
-            CREATE INDEX IF NOT EXISTS idx_cash_rec_id ON cash_receipts(reconciliation_id);
-            CREATE INDEX IF NOT EXISTS idx_cashiers_branch ON cashiers(branch_id);
+            continue;
+        }
+
+        if (existing.source === 'desktop') {
+            await client.query('UPDATE admins SET name = $1 WHERE id = $2', [admin.name || admin.username, existing.id]);
+        }
+
+        const override = desktopPasswords === 'always' ||
+            (desktopPasswords === 'unless_changed' && existing.password_source === 'desktop');
+        if (!override || await isSamePassword(admin.password, existing.password)) continue;
+
+        await client.query(`
+            UPDATE admins SET password = $1, password_source = 'desktop', password_changed_at = NOW(), must_change_password = FALSE
+            WHERE id = $2
+        `, [await toPasswordHash(admin.password), existing.id]);
+        await revokeSessions(client, existing.id);
+        revoked.push(existing.id);
+    }
+    return revoked;
+}
+
+const setAdminBranches = async (client, tenantId, adminId, branchIds) => {
+    await client.query('DELETE FROM admin_branches WHERE admin_id = $1', [adminId]);
+    await client.query(`
+        INSERT INTO admin_branches (tenant_id, admin_id, branch_id)
+        SELECT $1, $2, id FROM branches WHERE tenant_id = $1 AND id = ANY($3)
+    `, [tenantId, adminId, branchIds]);
+};
+
+const readBranchIds = (body) => (body.branchIds || []).map(Number).filter(Number.isInteger);
+
+// API: List the tenant's admin accounts with their access, plus the desktop password policy
+app.get('/api/admins', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT a.id, a.username, a.name, a.role, a.source, a.password_source, a.password_changed_at,
+                   a.must_change_password, a.disabled_at, a.created_at,
+                   ARRAY(SELECT ab.branch_id FROM admin_branches ab WHERE ab.admin_id = a.id ORDER BY ab.branch_id) as branch_ids,
+                   (SELECT MAX(s.last_seen_at) FROM sessions s WHERE s.admin_id = a.id) as last_seen_at
+            FROM admins a
+            WHERE a.tenant_id = $1
+            ORDER BY a.disabled_at IS NOT NULL, a.username
+        `, [req.user.tenant_id]);
+        res.json({
+            policy: await getSetting(req.user.tenant_id, 'admin_sync', ADMIN_SYNC_DEFAULTS),
+            admins: result.rows
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Create a cloud account ({ username, name, password, role, branchIds })
+app.post('/api/admins', requireRole('admin'), async (req, res) => {
+    const username = String(req.body.username || '').trim();
+    const name = String(req.body.name || '').trim() || username;
+    const role = req.body.role || 'supervisor';
+    const branchIds = readBranchIds(req.body);
+
+    if (!username) {
+        return res.status(400).json({ error: 'username is required' });
+    }
+    if (!ROLES[role]) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+    const passwordError = checkNewPassword(req.body.password);
+    if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // The user changes the password chosen for them at first login
+        const result = await client.query(`
+            INSERT INTO admins (tenant_id, username, password, name, role, source, password_source, password_changed_at, must_change_password)
+            VALUES ($1, $2, $3, $4, $5, 'cloud', 'cloud', NOW(), TRUE)
+            RETURNING id, username, name, role
+        `, [req.user.tenant_id, username, await hashPassword(req.body.password), name, role]);
+        const admin = result.rows[0];
+
+        await setAdminBranches(client, req.user.tenant_id, admin.id, branchIds);
+        await client.query('COMMIT');
+        res.json({ success: true, admin });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+// API: Rename an account ({ name }); a desktop account takes the desktop name again at its next push
+app.put('/api/admins/:id', requireRole('admin'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE admins SET name = $1 WHERE tenant_id = $2 AND id = $3',
+            [name, req.user.tenant_id, req.params.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Set an admin's role and branch assignments
+app.put('/api/admins/:id/access', requireRole('admin'), async (req, res) => {
+    const { role } = req.body;
+    const branchIds = readBranchIds(req.body);
+    const adminId = Number(req.params.id);
+
+    if (!ROLES[role]) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+    // Avoid locking yourself out of this screen
+    if (adminId === req.user.id && role !== 'admin') {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            'UPDATE admins SET role = $1 WHERE id = $2 AND tenant_id = $3 RETURNING id',
+            [role, adminId, req.user.tenant_id]
+        );
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        await setAdminBranches(client, req.user.tenant_id, adminId, branchIds);
+
+        await client.query('COMMIT');
+        res.json({ success: true });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+// API: Set a new password for an account ({ password, mustChange = true }); its sessions end
+app.post('/api/admins/:id/password', requireRole('admin'), async (req, res) => {
+    const adminId = Number(req.params.id);
+    const passwordError = checkNewPassword(req.body.password);
+    if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+    }
+    const mustChange = req.body.mustChange !== false && adminId !== req.user.id;
+
+    try {
+        const result = await pool.query(`
+            UPDATE admins SET password = $1, password_source = 'cloud', password_changed_at = NOW(), must_change_password = $2
+            WHERE tenant_id = $3 AND id = $4
+        `, [await hashPassword(req.body.password), mustChange, req.user.tenant_id, adminId]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        await revokeSessions(pool, adminId, req.sessionToken);
+        endLiveStreams(adminId, req.sessionToken);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Disable an account: it can no longer sign in and pushes do not enable it again
+app.post('/api/admins/:id/disable', requireRole('admin'), async (req, res) => {
+    const adminId = Number(req.params.id);
+    if (adminId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE admins SET disabled_at = NOW(), disabled_by = $1
+            WHERE tenant_id = $2 AND id = $3 AND disabled_at IS NULL
+        `, [req.user.id, req.user.tenant_id, adminId]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Admin not found or already disabled' });
+        }
+        await revokeSessions(pool, adminId);
+        endLiveStreams(adminId);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Enable a disabled account
+app.post('/api/admins/:id/enable', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE admins SET disabled_at = NULL, disabled_by = NULL
+            WHERE tenant_id = $1 AND id = $2 AND disabled_at IS NOT NULL
+        `, [req.user.tenant_id, req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Admin not found or not disabled' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Delete an account with its sessions and preferences (a desktop account comes back at the
+// next push while the desktop app still has it; disable it instead)
+app.delete('/api/admins/:id', requireRole('admin'), async (req, res) => {
+    const adminId = Number(req.params.id);
+    if (adminId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM admins WHERE tenant_id = $1 AND id = $2', [req.user.tenant_id, adminId]);
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        for (const table of ['admin_branches', 'admin_channels', 'digest_schedules']) {
+            await client.query(`DELETE FROM ${table} WHERE admin_id = $1`, [adminId]);
+        }
+        await revokeSessions(client, adminId);
+        await client.query('COMMIT');
+        endLiveStreams(adminId);
+        res.json({ success: true });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+// API: Change your own password ({ currentPassword, newPassword }); your other sessions end
+app.post('/api/me/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const passwordError = checkNewPassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+    }
+
+    try {
+        const found = await pool.query('SELECT password FROM admins WHERE id = $1', [req.user.id]);
+        if (!await verifyPassword(currentPassword, found.rows[0].password)) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        await pool.query(`
+            UPDATE admins SET password = $1, password_source = 'cloud', password_changed_at = NOW(), must_change_password = FALSE
+            WHERE id = $2
+        `, [await hashPassword(newPassword), req.user.id]);
+        await revokeSessions(pool, req.user.id, req.sessionToken);
+        endLiveStreams(req.user.id, req.sessionToken);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Whether passwords pushed by the desktop app replace the ones set here
+app.put('/api/settings/admin-sync', requireRole('admin'), async (req, res) => {
+    const { desktopPasswords } = req.body;
+    if (!ADMIN_SYNC_POLICIES.includes(desktopPasswords)) {
+        return res.status(400).json({ error: `desktopPasswords must be one of: ${ADMIN_SYNC_POLICIES.join(', ')}` });
+    }
+
+    try {
+        await saveSetting(req.user.tenant_id, 'admin_sync', { desktopPasswords });
+        res.json({ success: true, policy: { desktopPasswords } });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Platform: Tenant Management ---
+// Used by the operator of the cloud deployment, authenticated with PLATFORM_API_KEY.
+// Both keys are hashed first so the comparison takes the same time whatever their length.
+const platformAuth = (req, res, next) => {
+    const key = req.headers['x-platform-key'];
+    const expected = process.env.PLATFORM_API_KEY;
+    const valid = Boolean(expected && key) && crypto.timingSafeEqual(
+        Buffer.from(hashSyncKey(key), 'hex'),
+        Buffer.from(hashSyncKey(expected), 'hex')
+    );
+    if (!valid) {
+        return res.status(403).json({ error: 'Invalid platform key' });
+    }
+    next();
+};
+
+app.get('/api/platform/tenants', platformAuth, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT t.id, t.name, t.code, t.created_at,
+                   (SELECT COUNT(*) FROM reconciliations r WHERE r.tenant_id = t.id) as reconciliations
+            FROM tenants t
+            ORDER BY t.id
         `);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Create a tenant; the sync key is only returned here and on rotation
+app.post('/api/platform/tenants', platformAuth, async (req, res) => {
+    const { name, code, admin } = req.body;
+    if (!name || !code) {
+        return res.status(400).json({ error: 'name and code are required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const syncKey = generateSyncKey();
+        const result = await client.query(
+            'INSERT INTO tenants (name, code, sync_key_hash) VALUES ($1, $2, $3) RETURNING id, name, code',
+            [name, code, hashSyncKey(syncKey)]
+        );
+        const tenant = result.rows[0];
+
+        await client.query('INSERT INTO sync_state (tenant_id) VALUES ($1)', [tenant.id]);
+
+        if (admin && admin.username && admin.password) {
+            await client.query(
+                `INSERT INTO admins (tenant_id, username, password, name, source, password_source, password_changed_at)
+                 VALUES ($1, $2, $3, $4, 'cloud', 'cloud', NOW())`,
+                [tenant.id, admin.username, await hashPassword(admin.password), admin.name || admin.username]
+            );
+        }
+
+        await client.query('COMMIT');
+        res.json({ success: true, tenant, syncKey });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Tenant code already exists' });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
         client.release();
-        console.log('Database initialized');
+    }
+});
+
+app.post('/api/platform/tenants/:id/rotate-key', platformAuth, async (req, res) => {
+    try {
+        const syncKey = generateSyncKey();
+        const result = await pool.query(
+            'UPDATE tenants SET sync_key_hash = $1 WHERE id = $2 RETURNING id, name, code',
+            [hashSyncKey(syncKey), req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        res.json({ success: true, tenant: result.rows[0], syncKey });
     } catch (err) {
-        console.error('DB Init Error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Start Server
+// Data fixes that depend on the environment, run after the migrations on every start
+const runStartupTasks = async () => {
+    // The deployment-wide SYNC_API_KEY becomes the default tenant's key while it has none yet.
+    // Once set, the key is only changed by rotate-key, which a restart must not undo.
+    if (process.env.SYNC_API_KEY) {
+        await pool.query('UPDATE tenants SET sync_key_hash = $1 WHERE id = 1 AND sync_key_hash IS NULL', [hashSyncKey(process.env.SYNC_API_KEY)]);
+    }
+
+    // Hash any passwords still stored in plaintext
+    const legacyAdmins = await pool.query("SELECT id, password FROM admins WHERE password IS NOT NULL AND password NOT LIKE 'scrypt$%'");
+    for (const admin of legacyAdmins.rows) {
+        await pool.query('UPDATE admins SET password = $1 WHERE id = $2', [await hashPassword(admin.password), admin.id]);
     }
 };
 
-// Start server first to satisfy Render's health check
+const startBackgroundJobs = () => {
+    const runAlertChecks = () => checkMissingReconciliations()
+        .catch(err => console.error('Missing reconciliation check failed:', err));
+    runAlertChecks();
+    setInterval(runAlertChecks, ALERT_CHECK_INTERVAL_MS);
+
+    const runNotificationQueue = () => processNotificationQueue()
+        .catch(err => console.error('Notification queue failed:', err));
+    runNotificationQueue();
+    setInterval(runNotificationQueue, NOTIFY_QUEUE_INTERVAL_MS);
+
+    const runDigests = () => runDueDigests()
+        .catch(err => console.error('Digest check failed:', err));
+    runDigests();
+    setInterval(runDigests, DIGEST_CHECK_INTERVAL_MS);
+};
+
+// Listen first so the platform sees the port; /readyz and the API answer 503 until the
+// migrations are done. A failed migration leaves the server not ready.
 app.listen(port, () => {
     console.log(`Cloud Server running on port ${port}`);
 });
 
-// Initialize database in background
-initDB().catch(err => {
-    console.error('Failed to initialize database:', err);
-});
+migrateUp(pool)
+    .then(async (applied) => {
+        await runStartupTasks();
+        serverState.ready = true;
+        console.log(`Database initialized (${applied.length} migration(s) applied)`);
+        startBackgroundJobs();
+    })
+    .catch(err => {
+        serverState.error = err.message;
+        console.error('DB Init Error:', err);
+    });
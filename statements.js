@@ -0,0 +1,230 @@
+// Bank statement parsers: CSV, OFX and ISO 20022 CAMT.053, all reduced to the same
+// line shape { date: 'YYYY-MM-DD', amount, reference, description, terminal }.
+// Only credits are returned (money received), debits have nothing to match against.
+
+class StatementError extends Error {}
+
+// --- Shared helpers ---
+const pad = (value) => String(value).padStart(2, '0');
+
+// Accepts 2025-01-31, 20250131, 31/01/2025, 31-01-2025 and 31.01.2025 (day first, as banks here print them)
+function parseStatementDate(value) {
+    const text = String(value || '').trim();
+    let match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(text);
+    let year, month, day;
+    if (match) {
+        [year, month, day] = match.slice(1).map(Number);
+    } else {
+        match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/.exec(text);
+        if (!match) return null;
+        [day, month, year] = match.slice(1).map(Number);
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// "1,234.50", "SAR 1234.50", "(50.00)" and Arabic-Indic digits
+function parseStatementAmount(value) {
+    let text = String(value ?? '').trim()
+        .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/٫/g, '.')
+        .replace(/[,٬\s]/g, '');
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+    text = text.replace(/[^\d.]/g, '');
+    if (!text || isNaN(Number(text))) return null;
+    return negative ? -Number(text) : Number(text);
+}
+
+const cleanText = (value) => {
+    const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return text || null;
+};
+
+// --- CSV ---
+// Header names recognised for each field (lower case, English and Arabic)
+const CSV_COLUMNS = {
+    date: ['date', 'booking date', 'transaction date', 'value date', 'posting date', 'التاريخ', 'تاريخ العملية', 'تاريخ القيد'],
+    amount: ['amount', 'transaction amount', 'المبلغ', 'مبلغ العملية'],
+    credit: ['credit', 'deposit', 'deposits', 'cr', 'دائن', 'إيداع', 'ايداع'],
+    debit: ['debit', 'withdrawal', 'withdrawals', 'dr', 'مدين', 'سحب'],
+    reference: ['reference', 'ref', 'reference number', 'ref no', 'transaction id', 'المرجع', 'رقم المرجع', 'الرقم المرجعي'],
+    description: ['description', 'details', 'narrative', 'memo', 'البيان', 'الوصف', 'التفاصيل'],
+    terminal: ['terminal', 'terminal id', 'tid', 'pos', 'رقم الجهاز', 'الجهاز']
+};
+
+function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell);
+    return cells.map(value => value.trim());
+}
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) throw new StatementError('The file is empty');
+
+    // The header is the first line naming a date column and an amount (or credit) column;
+    // banks often print a few lines about the account before it
+    let headerIndex = -1;
+    let delimiter;
+    let columns;
+    for (let i = 0; i < Math.min(lines.length, 20) && headerIndex < 0; i++) {
+        for (const candidate of [',', ';', '\t']) {
+            const names = splitCsvLine(lines[i], candidate).map(name => name.toLowerCase());
+            const found = {};
+            for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+                const index = names.findIndex(name => aliases.includes(name));
+                if (index >= 0) found[field] = index;
+            }
+            if (found.date !== undefined && (found.amount !== undefined || found.credit !== undefined)) {
+                headerIndex = i;
+                delimiter = candidate;
+                columns = found;
+                break;
+            }
+        }
+    }
+    if (headerIndex < 0) {
+        throw new StatementError('No header row with a date and an amount (or credit) column was found');
+    }
+
+    const result = [];
+    for (const line of lines.slice(headerIndex + 1)) {
+        const cells = splitCsvLine(line, delimiter);
+        const date = parseStatementDate(cells[columns.date]);
+        if (!date) continue; // Totals, balances and blank rows
+
+        let amount;
+        if (columns.credit !== undefined) {
+            amount = parseStatementAmount(cells[columns.credit]);
+            if (!amount && columns.debit !== undefined && parseStatementAmount(cells[columns.debit])) continue;
+        } else {
+            amount = parseStatementAmount(cells[columns.amount]);
+        }
+        if (!amount || amount <= 0) continue;
+
+        result.push({
+            date,
+            amount,
+            reference: cleanText(cells[columns.reference]),
+            description: cleanText(cells[columns.description]),
+            terminal: cleanText(cells[columns.terminal])
+        });
+    }
+    return { lines: result };
+}
+
+// --- XML-ish helpers (OFX 1.x is SGML without closing tags, CAMT is namespaced XML) ---
+const tagPattern = (tag) => `(?:[\\w-]+:)?${tag}`;
+
+const blocks = (content, tag) => {
+    const re = new RegExp(`<${tagPattern(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagPattern(tag)}>`, 'gi');
+    return [...content.matchAll(re)].map(match => match[1]);
+};
+
+// Value of the first <tag> in the block, with or without a closing tag
+const tagValue = (content, tag) => {
+    const re = new RegExp(`<${tagPattern(tag)}(?:\\s[^>]*)?>([^<\\r\\n]*)`, 'i');
+    const match = re.exec(content);
+    return match ? decodeEntities(match[1].trim()) : null;
+};
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+
+// --- OFX ---
+function parseOfx(content) {
+    const transactions = blocks(content, 'STMTTRN');
+    if (transactions.length === 0 && !/<STMTTRN>/i.test(content)) {
+        throw new StatementError('No OFX transactions (<STMTTRN>) were found');
+    }
+    // SGML files may leave STMTTRN unclosed: fall back to splitting on the opening tag
+    const items = transactions.length > 0 ? transactions : content.split(/<STMTTRN>/i).slice(1);
+
+    const lines = [];
+    for (const item of items) {
+        const amount = parseStatementAmount(tagValue(item, 'TRNAMT'));
+        const date = parseStatementDate(tagValue(item, 'DTPOSTED'));
+        if (!date || !amount || amount <= 0) continue;
+        lines.push({
+            date,
+            amount,
+            reference: cleanText(tagValue(item, 'REFNUM') || tagValue(item, 'CHECKNUM') || tagValue(item, 'FITID')),
+            description: cleanText([tagValue(item, 'NAME'), tagValue(item, 'MEMO')].filter(Boolean).join(' - ')),
+            terminal: null
+        });
+    }
+    return { lines, account: tagValue(content, 'ACCTID'), bank: tagValue(content, 'BANKID') };
+}
+
+// --- CAMT.053 ---
+function parseCamt(content) {
+    const entries = blocks(content, 'Ntry');
+    if (entries.length === 0) throw new StatementError('No CAMT.053 entries (<Ntry>) were found');
+
+    const lines = [];
+    for (const entry of entries) {
+        if ((tagValue(entry, 'CdtDbtInd') || '').toUpperCase() !== 'CRDT') continue;
+        if ((tagValue(entry, 'RvslInd') || '').toLowerCase() === 'true') continue;
+
+        const booking = blocks(entry, 'BookgDt')[0] || blocks(entry, 'ValDt')[0] || '';
+        const date = parseStatementDate(tagValue(booking, 'Dt') || tagValue(booking, 'DtTm'));
+        const amount = parseStatementAmount(tagValue(entry, 'Amt'));
+        if (!date || !amount || amount <= 0) continue;
+
+        lines.push({
+            date,
+            amount,
+            reference: cleanText(tagValue(entry, 'AcctSvcrRef') || tagValue(entry, 'EndToEndId') || tagValue(entry, 'TxId')),
+            description: cleanText(tagValue(entry, 'Ustrd') || tagValue(entry, 'AddtlNtryInf')),
+            terminal: cleanText(tagValue(entry, 'POIId') || tagValue(entry, 'CardAccptrId'))
+        });
+    }
+
+    const account = blocks(content, 'Acct')[0] || '';
+    return { lines, account: tagValue(account, 'IBAN') || tagValue(account, 'Id'), bank: tagValue(content, 'BICFI') || tagValue(content, 'BIC') };
+}
+
+// Picks the parser from the content (the file name is only a hint)
+function detectStatementFormat(content, fileName = '') {
+    if (/<(?:[\w-]+:)?BkToCstmrStmt\b/i.test(content) || /camt\.053/i.test(content)) return 'camt053';
+    if (/<OFX>|OFXHEADER/i.test(content)) return 'ofx';
+    if (/\.(xml)$/i.test(fileName)) return 'camt053';
+    if (/\.(ofx|qfx)$/i.test(fileName)) return 'ofx';
+    return 'csv';
+}
+
+const PARSERS = { csv: parseCsv, ofx: parseOfx, camt053: parseCamt };
+
+function parseStatement(content, { fileName, format } = {}) {
+    const chosen = format && PARSERS[format] ? format : detectStatementFormat(content, fileName);
+    const parsed = PARSERS[chosen](String(content).replace(/^\uFEFF/, ''));
+    if (parsed.lines.length === 0) throw new StatementError('The statement has no credit entries');
+    return { format: chosen, ...parsed };
+}
+
+module.exports = { parseStatement, parseStatementDate, parseStatementAmount, StatementError, STATEMENT_FORMATS: Object.keys(PARSERS) };